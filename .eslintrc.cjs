@@ -19,7 +19,13 @@ module.exports = {
     commonjs: true,
     es6: true,
   },
-  ignorePatterns: ["!**/.server", "!**/.client"],
+  ignorePatterns: [
+    "!**/.server",
+    "!**/.client",
+    // Written by `npm run graphql-codegen`
+    "app/types/*.generated.d.ts",
+    "app/types/*.types.d.ts",
+  ],
 
   // Base config
   extends: ["eslint:recommended"],
@@ -81,9 +87,12 @@ module.exports = {
       files: [
         ".eslintrc.cjs",
         "vite.config.{js,ts}",
+        "vitest.config.{js,ts}",
         ".graphqlrc.{js,ts}",
         "shopify.server.{js,ts}",
         "**/*.server.{js,ts}",
+        "scripts/**/*.{js,ts}",
+        "test/**/*.{js,ts}",
       ],
       env: {
         node: true,
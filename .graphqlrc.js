@@ -1,6 +1,7 @@
 import fs from "fs";
 import { ApiVersion } from "@shopify/shopify-app-react-router/server";
 import { shopifyApiProject, ApiType } from "@shopify/api-codegen-preset";
+const CUSTOMER_DOCUMENTS = "./app/customer-operations.server.js";
 function getConfig() {
   const config = {
     projects: {
@@ -10,9 +11,19 @@ function getConfig() {
         documents: [
           "./app/**/*.{js,ts,jsx,tsx}",
           "./app/.server/**/*.{js,ts,jsx,tsx}",
+          `!${CUSTOMER_DOCUMENTS}`,
         ],
         outputDir: "./app/types",
       }),
+      // Customer Account API operations, typed through app/types/customer-api.d.ts
+      customer: shopifyApiProject({
+        apiType: ApiType.Customer,
+        apiVersion: ApiVersion.October25,
+        apiKey: process.env.SHOPIFY_API_KEY,
+        documents: [CUSTOMER_DOCUMENTS],
+        outputDir: "./app/types",
+        module: "./customer-api",
+      }),
     },
   };
   let extensions = [];
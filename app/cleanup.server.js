@@ -0,0 +1,125 @@
+import prisma from "./db.server";
+import { pruneCustomerAuthEvents } from "./customer-auth-events.server";
+import { CUSTOMER_SESSION_MAX_AGE_SECONDS } from "./sessions.server";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Sessions checked per query, to stay well under SQLite's limit on query parameters
+const SESSION_BATCH_SIZE = 500;
+
+// How often the in-process sweeper runs; 0 turns it off (e.g. when the CLI
+// script runs from cron instead)
+const intervalMinutes = Number(process.env.CUSTOMER_CLEANUP_INTERVAL_MINUTES ?? 60);
+
+// How long to keep expired code verifiers around, e.g. for debugging failed logins
+const verifierRetentionMinutes = Number(process.env.CUSTOMER_CLEANUP_VERIFIER_RETENTION_MINUTES ?? 0);
+
+// How long a token that can still be refreshed is kept after its row last
+// changed: when it was issued or refreshed, or its use was last recorded.
+// Defaults to the longest a customer session can last.
+const tokenRetentionDays = Number(
+  process.env.CUSTOMER_CLEANUP_TOKEN_RETENTION_DAYS ?? CUSTOMER_SESSION_MAX_AGE_SECONDS / (24 * 60 * 60),
+);
+
+// Remove abandoned code verifiers, customer tokens that can no longer be used,
+// customer sessions that expired or whose token is gone, finished rate limit
+// windows and audit events past their retention. Returns how many rows of each
+// were removed. Admin sessions belong to the Shopify session storage and are
+// left alone.
+export async function sweepCustomerAuthData(now = new Date()) {
+  const verifierCutoff = new Date(now.getTime() - verifierRetentionMinutes * MINUTE_MS);
+  const tokenCutoff = new Date(now.getTime() - tokenRetentionDays * DAY_MS);
+
+  const codeVerifiers = await prisma.codeVerifier.deleteMany({
+    where: { expiresAt: { lt: verifierCutoff } },
+  });
+
+  const customerAccessTokens = await prisma.customerAccessToken.deleteMany({
+    where: {
+      OR: [
+        // Expired with nothing to refresh it with
+        { refreshToken: null, expiresAt: { lt: now } },
+        // Refreshable, but not touched for longer than the refresh token would last
+        { updatedAt: { lt: tokenCutoff } },
+      ],
+    },
+  });
+
+  const expiredSessions = await prisma.customerSession.deleteMany({
+    where: { expiresAt: { lt: now } },
+  });
+  const orphanedSessions = await deleteOrphanedCustomerSessions();
+
+  const rateLimits = await prisma.rateLimit.deleteMany({
+    where: { resetAt: { lt: now } },
+  });
+
+  const customerAuthEvents = await pruneCustomerAuthEvents(now);
+
+  const counts = {
+    codeVerifiers: codeVerifiers.count,
+    customerAccessTokens: customerAccessTokens.count,
+    customerSessions: expiredSessions.count + orphanedSessions,
+    rateLimits: rateLimits.count,
+    customerAuthEvents,
+  };
+
+  console.log(
+    `Customer auth cleanup removed ${counts.codeVerifiers} code verifier(s), ` +
+      `${counts.customerAccessTokens} customer access token(s), ` +
+      `${counts.customerSessions} expired or orphaned customer session(s), ${counts.rateLimits} rate limit window(s) ` +
+      `and ${counts.customerAuthEvents} audit event(s)`,
+  );
+
+  return counts;
+}
+
+// Delete customer sessions whose token no longer exists, e.g. because it was
+// swept above, a batch of sessions at a time. Returns how many were deleted.
+async function deleteOrphanedCustomerSessions() {
+  let deleted = 0;
+  let lastId = "";
+
+  for (;;) {
+    const sessions = await prisma.customerSession.findMany({
+      where: { id: { gt: lastId }, tokenId: { not: null } },
+      select: { id: true, tokenId: true },
+      orderBy: { id: "asc" },
+      take: SESSION_BATCH_SIZE,
+    });
+    if (sessions.length === 0) {
+      return deleted;
+    }
+    lastId = sessions[sessions.length - 1].id;
+
+    const existingTokens = await prisma.customerAccessToken.findMany({
+      where: { id: { in: [...new Set(sessions.map(({ tokenId }) => tokenId))] } },
+      select: { id: true },
+    });
+    const existingTokenIds = new Set(existingTokens.map(({ id }) => id));
+
+    const orphanedIds = sessions.filter(({ tokenId }) => !existingTokenIds.has(tokenId)).map(({ id }) => id);
+    if (orphanedIds.length > 0) {
+      const { count } = await prisma.customerSession.deleteMany({ where: { id: { in: orphanedIds } } });
+      deleted += count;
+    }
+  }
+}
+
+// Run the sweeper on an interval inside the server process. Safe to call more
+// than once; only one timer is started per process.
+export function startCleanupSweeper() {
+  if (intervalMinutes <= 0 || global.customerCleanupTimer) {
+    return;
+  }
+
+  global.customerCleanupTimer = setInterval(() => {
+    sweepCustomerAuthData().catch((error) => {
+      console.error("Customer auth cleanup failed:", error);
+    });
+  }, intervalMinutes * MINUTE_MS);
+
+  // Don't keep the process alive just for the sweeper
+  global.customerCleanupTimer.unref();
+}
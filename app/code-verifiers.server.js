@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import prisma from "./db.server";
+import { createCustomerCookie } from "./sessions.server";
+
+// How long a customer has to complete login before the state is rejected
+export const CODE_VERIFIER_TTL_MS = 10 * 60 * 1000;
+
+// Holds a hash of the state of the login this browser started, so a callback
+// URL from someone else's login can't sign the customer in to their account
+const loginStateCookie = createCustomerCookie("__customer_login_state", {
+  path: "/customer-account-api/callback",
+  maxAge: CODE_VERIFIER_TTL_MS / 1000,
+});
+
+function hashState(state) {
+  return crypto.createHash("sha256").update(state).digest("base64url");
+}
+
+// Set-Cookie header tying a new login's state to this browser
+export function commitLoginState(state) {
+  return loginStateCookie.serialize(hashState(state));
+}
+
+// Set-Cookie header removing the login state once the callback has used it
+export function clearLoginState() {
+  return loginStateCookie.serialize("", { maxAge: 0 });
+}
+
+// Where customers land after login when the request didn't say where to return to
+export const DEFAULT_RETURN_TO = "/customer-account-api/order-list";
+
+// Only accept relative paths on this app as return_to, so the login flow
+// can't be used to redirect customers to another site
+export function sanitizeReturnTo(returnTo) {
+  if (typeof returnTo !== "string" || !returnTo.startsWith("/")) {
+    return null;
+  }
+
+  // Resolving against a placeholder origin catches protocol-relative tricks
+  // like "//evil.example" or "/\evil.example", which browsers treat as another host
+  const base = new URL("https://return-to.invalid");
+  const url = new URL(returnTo, base);
+
+  if (url.origin !== base.origin) {
+    return null;
+  }
+
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+// The shop a pending login's state belongs to, or null if it's unknown. Leaves
+// the record in place for consumeCodeVerifier.
+export async function getCodeVerifierShop(state) {
+  const codeVerifierRecord = await prisma.codeVerifier.findUnique({
+    where: { state },
+    select: { shop: true },
+  });
+  return codeVerifierRecord?.shop ?? null;
+}
+
+// Remove and return the code verifier record for a state, or null if it's
+// unknown, already used, expired or was started in another browser. Deleting it
+// up front means a replayed or raced callback with the same state can only ever
+// succeed once.
+export async function consumeCodeVerifier(state, request) {
+  const stateHash = await loginStateCookie.parse(request.headers.get("Cookie"));
+  const expectedHash = hashState(state);
+
+  if (
+    typeof stateHash !== "string" ||
+    stateHash.length !== expectedHash.length ||
+    !crypto.timingSafeEqual(Buffer.from(stateHash), Buffer.from(expectedHash))
+  ) {
+    return null;
+  }
+
+  let codeVerifierRecord;
+  try {
+    codeVerifierRecord = await prisma.codeVerifier.delete({
+      where: { state },
+    });
+  } catch (error) {
+    // P2025: no record to delete, either it never existed or another request consumed it
+    if (error?.code === "P2025") {
+      return null;
+    }
+    throw error;
+  }
+
+  if (codeVerifierRecord.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return codeVerifierRecord;
+}
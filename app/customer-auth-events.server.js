@@ -0,0 +1,86 @@
+import prisma from "./db.server";
+import { recordCustomerAuthStat } from "./customer-auth-stats.server";
+import { customerErrorCode } from "./customer-errors.server";
+import { getClientIp } from "./request.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long audit events are kept before the cleanup sweeper removes them
+const retentionDays = Number(process.env.CUSTOMER_AUTH_EVENT_RETENTION_DAYS ?? 90);
+
+// Events that also count towards the merchant dashboard's daily totals
+const DASHBOARD_STATS = {
+  "callback:success": "logins",
+  "callback:failure": "failedCallbacks",
+  "token_expired:failure": "tokenExpiries",
+};
+
+// Record an event in the audit log. Pass the request for the customer's IP
+// and user agent, the error for failures and the webhook id for events recorded
+// by a webhook. Auditing is best effort, so a failure is logged rather than thrown.
+export async function recordCustomerAuthEvent({
+  type,
+  outcome = "success",
+  shop = null,
+  customerId = null,
+  request = null,
+  error = null,
+  webhookId = null,
+}) {
+  try {
+    await prisma.customerAuthEvent.create({
+      data: {
+        type,
+        outcome,
+        shop,
+        customerId,
+        ip: request ? getClientIp(request) : null,
+        userAgent: request?.headers.get("User-Agent") ?? null,
+        errorCode: error ? customerErrorCode(error) : null,
+        webhookId,
+      },
+    });
+  } catch (recordError) {
+    console.error(`Error recording customer auth event ${type}:`, recordError);
+  }
+
+  const stat = DASHBOARD_STATS[`${type}:${outcome}`];
+  if (stat && shop) {
+    await recordCustomerAuthStat(shop, stat);
+  }
+}
+
+// Whether a webhook delivery was already handled, since Shopify may send the same webhook more than once
+export async function isWebhookRecorded(webhookId) {
+  const event = await prisma.customerAuthEvent.findUnique({
+    where: { webhookId },
+    select: { id: true },
+  });
+  return Boolean(event);
+}
+
+// Events matching the given filters, newest first. Every filter is optional;
+// from is inclusive and to is exclusive. Pass the last event's id as cursor
+// to get the next page.
+export function listCustomerAuthEvents({ shop, customerId, type, outcome, from, to, take = 100, cursor } = {}) {
+  return prisma.customerAuthEvent.findMany({
+    where: {
+      shop,
+      customerId,
+      type,
+      outcome,
+      createdAt: { gte: from, lt: to },
+    },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+  });
+}
+
+// Delete events older than CUSTOMER_AUTH_EVENT_RETENTION_DAYS. Returns how many were removed.
+export async function pruneCustomerAuthEvents(now = new Date()) {
+  const { count } = await prisma.customerAuthEvent.deleteMany({
+    where: { createdAt: { lt: new Date(now.getTime() - retentionDays * DAY_MS) } },
+  });
+  return count;
+}
@@ -0,0 +1,41 @@
+import prisma from "./db.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC day a stat is counted against, e.g. "2026-10-19"
+function statDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Count a sign-in, failed callback or token expiry against the shop's daily
+// totals. Stats are best effort, so a failure is logged rather than thrown.
+export async function recordCustomerAuthStat(shop, stat, now = new Date()) {
+  try {
+    await prisma.customerAuthDailyStat.upsert({
+      where: { shop_date: { shop, date: statDate(now) } },
+      create: { shop, date: statDate(now), [stat]: 1 },
+      update: { [stat]: { increment: 1 } },
+    });
+  } catch (error) {
+    console.error(`Error recording customer auth stat ${stat}:`, error);
+  }
+}
+
+// Daily totals for a shop's last `days` days, oldest first, with empty days filled in
+export async function getCustomerAuthStats(shop, days, now = new Date()) {
+  const dates = Array.from({ length: days }, (_, index) =>
+    statDate(new Date(now.getTime() - (days - 1 - index) * DAY_MS)),
+  );
+
+  const rows = await prisma.customerAuthDailyStat.findMany({
+    where: { shop, date: { gte: dates[0] } },
+  });
+  const rowsByDate = new Map(rows.map((row) => [row.date, row]));
+
+  return dates.map((date) => ({
+    date,
+    logins: rowsByDate.get(date)?.logins ?? 0,
+    failedCallbacks: rowsByDate.get(date)?.failedCallbacks ?? 0,
+    tokenExpiries: rowsByDate.get(date)?.tokenExpiries ?? 0,
+  }));
+}
@@ -0,0 +1,141 @@
+import prisma from "./db.server";
+import { customerTokenStore } from "./customer-token-store.server";
+import { revokeCustomerAccessTokens } from "./customer-tokens.server";
+
+// Customer ids we may have stored for a webhook's customer. ID tokens carry the
+// customer's GID, while privacy webhooks send the numeric id.
+function customerIdsFor(customer) {
+  return [String(customer.id), `gid://shopify/Customer/${customer.id}`];
+}
+
+// Tokens of a customer from a privacy webhook payload, matched on id or email
+function customerTokenWhere(shop, customer) {
+  return {
+    shop,
+    OR: [
+      { customerId: { in: customerIdsFor(customer) } },
+      ...(customer.email ? [{ email: customer.email }] : []),
+    ],
+  };
+}
+
+// Everything stored about a customer, for a customers/data_request webhook.
+// Token secrets and session ids are credentials rather than customer data, so
+// they're left out.
+export async function exportCustomerData(shop, customer) {
+  const customerIds = customerIdsFor(customer);
+
+  const [tokens, sessions, events] = await Promise.all([
+    prisma.customerAccessToken.findMany({
+      where: customerTokenWhere(shop, customer),
+      select: { customerId: true, email: true, userAgent: true, ip: true, createdAt: true, lastUsedAt: true },
+    }),
+    prisma.customerSession.findMany({
+      where: { shop, customerId: { in: customerIds } },
+      select: { userAgent: true, ip: true, createdAt: true, lastSeenAt: true },
+    }),
+    prisma.customerAuthEvent.findMany({
+      where: { shop, customerId: { in: customerIds } },
+      select: { type: true, outcome: true, ip: true, userAgent: true, createdAt: true },
+      orderBy: { createdAt: "asc" },
+    }),
+  ]);
+
+  return { shop, customerId: String(customer.id), tokens, sessions, events };
+}
+
+// Store a customer's export for the merchant to download from the dashboard and
+// pass on to the customer. Returns the stored row's id and how many records of
+// each kind the export holds, which is all that should be logged.
+export async function storeCustomerDataExport(shop, customer, dataRequestId) {
+  const data = await exportCustomerData(shop, customer);
+
+  const customerDataExport = await prisma.customerDataExport.create({
+    data: {
+      shop,
+      customerId: String(customer.id),
+      dataRequestId: dataRequestId == null ? null : String(dataRequestId),
+      data: JSON.stringify(data),
+    },
+  });
+
+  return {
+    id: customerDataExport.id,
+    counts: { tokens: data.tokens.length, sessions: data.sessions.length, events: data.events.length },
+  };
+}
+
+// A shop's stored exports, newest first, without their data
+export function listCustomerDataExports(shop) {
+  return prisma.customerDataExport.findMany({
+    where: { shop },
+    select: { id: true, customerId: true, dataRequestId: true, createdAt: true },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+export function getCustomerDataExport(shop, id) {
+  return prisma.customerDataExport.findFirst({ where: { shop, id } });
+}
+
+// Delete an export once the merchant has sent it on
+export function deleteCustomerDataExport(shop, id) {
+  return prisma.customerDataExport.deleteMany({ where: { shop, id } });
+}
+
+// Revoke and delete a customer's tokens and sessions and remove their audit
+// events and data exports, for a customers/redact webhook. Safe to run more than once. Returns
+// how many rows of each were removed.
+export async function redactCustomerData(shop, customer) {
+  const customerIds = customerIdsFor(customer);
+
+  const tokens = await customerTokenStore.findMany({ where: customerTokenWhere(shop, customer) });
+  // Also ends the database-backed sessions that used these tokens
+  await revokeCustomerAccessTokens(shop, tokens);
+
+  const customerSessions = await prisma.customerSession.deleteMany({
+    where: { shop, customerId: { in: customerIds } },
+  });
+  const customerAuthEvents = await prisma.customerAuthEvent.deleteMany({
+    where: { shop, customerId: { in: customerIds } },
+  });
+  const customerDataExports = await prisma.customerDataExport.deleteMany({
+    where: { shop, customerId: { in: customerIds } },
+  });
+
+  return {
+    customerAccessTokens: tokens.length,
+    customerSessions: customerSessions.count,
+    customerAuthEvents: customerAuthEvents.count,
+    customerDataExports: customerDataExports.count,
+  };
+}
+
+// Delete every customer auth row stored for a shop, when the app is uninstalled
+// or the shop asks for its data to be erased. Tokens aren't revoked at the shop,
+// since the app's client is no longer installed there. Audit events are only
+// deleted with includeAuditEvents: an uninstall keeps them, and the shop/redact
+// webhook Shopify sends 48 hours later erases them. Safe to run more than once.
+// Returns how many rows of each were removed.
+export async function purgeShopCustomerData(shop, { includeAuditEvents = false } = {}) {
+  const customerAccessTokens = await prisma.customerAccessToken.deleteMany({ where: { shop } });
+  const codeVerifiers = await prisma.codeVerifier.deleteMany({ where: { shop } });
+  const customerSessions = await prisma.customerSession.deleteMany({ where: { shop } });
+  const customerAuthDailyStats = await prisma.customerAuthDailyStat.deleteMany({ where: { shop } });
+  // Per-shop limit windows are keyed <endpoint>:shop:<shop>
+  const rateLimits = await prisma.rateLimit.deleteMany({ where: { key: { endsWith: `:shop:${shop}` } } });
+  const customerDataExports = await prisma.customerDataExport.deleteMany({ where: { shop } });
+  const customerAuthEvents = includeAuditEvents
+    ? await prisma.customerAuthEvent.deleteMany({ where: { shop } })
+    : { count: 0 };
+
+  return {
+    customerAccessTokens: customerAccessTokens.count,
+    codeVerifiers: codeVerifiers.count,
+    customerSessions: customerSessions.count,
+    customerAuthDailyStats: customerAuthDailyStats.count,
+    rateLimits: rateLimits.count,
+    customerDataExports: customerDataExports.count,
+    customerAuthEvents: customerAuthEvents.count,
+  };
+}
@@ -0,0 +1,15 @@
+// A rough "Browser on OS" label, good enough to tell devices apart
+export function describeDevice(userAgent) {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+
+  const browser =
+    [["Edg/", "Edge"], ["OPR/", "Opera"], ["Firefox/", "Firefox"], ["Chrome/", "Chrome"], ["Safari/", "Safari"]]
+      .find(([marker]) => userAgent.includes(marker))?.[1] ?? "Unknown browser";
+  const os =
+    [["iPhone", "iOS"], ["iPad", "iPadOS"], ["Android", "Android"], ["Mac OS X", "macOS"], ["Windows", "Windows"], ["Linux", "Linux"]]
+      .find(([marker]) => userAgent.includes(marker))?.[1] ?? "unknown OS";
+
+  return `${browser} on ${os}`;
+}
@@ -0,0 +1,51 @@
+import { isRouteErrorResponse, useLocation, useRouteError } from "react-router";
+
+const TITLES = {
+  400: "We couldn't sign you in",
+  401: "Please sign in again",
+  403: "Access not granted",
+  404: "Not found",
+  429: "Too many requests",
+};
+
+// Error page for the customer account routes. Loaders throw responses with a
+// message that's safe to show (see customer-errors.server.js); anything else
+// gets a generic message, with the details left in the server logs. Routes
+// whose loader always redirects or throws render nothing but this.
+export function CustomerErrorBoundary() {
+  const error = useRouteError();
+  const location = useLocation();
+
+  const status = isRouteErrorResponse(error) ? error.status : 500;
+  const message = isRouteErrorResponse(error)
+    ? (typeof error.data === "string" ? error.data : error.data?.message)
+    : null;
+
+  // Retrying a callback would reuse a state that's already been consumed
+  const signInAgain =
+    status === 400 || status === 401 || location.pathname === "/customer-account-api/callback";
+  const searchParams = new URLSearchParams(location.search);
+  const shop = searchParams.get("shop");
+  const signInUrl = `/customer-account-api/auth${shop ? `?${new URLSearchParams({ shop })}` : ""}`;
+
+  // Trying again after a refused consent should ask for it again
+  searchParams.delete("consent_attempted");
+  const retryUrl = `${location.pathname}${searchParams.size > 0 ? `?${searchParams}` : ""}`;
+
+  return (
+    <div style={{ padding: "2rem", fontFamily: "system-ui, sans-serif" }}>
+      <h1>{TITLES[status] ?? "Something went wrong"}</h1>
+      <div style={{ marginTop: "1rem", padding: "1rem", backgroundColor: "#ffebee", borderRadius: "8px" }}>
+        <p style={{ color: "#c62828", margin: 0 }}>
+          {message || "Something went wrong. Please try again."}
+        </p>
+      </div>
+      <a
+        href={signInAgain ? signInUrl : retryUrl}
+        style={{ marginTop: "1rem", display: "inline-block", color: "#1976d2" }}
+      >
+        {signInAgain ? "Sign in again" : "Try again"}
+      </a>
+    </div>
+  );
+}
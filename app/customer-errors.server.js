@@ -0,0 +1,115 @@
+const GENERIC_MESSAGE = "Something went wrong. Please try again.";
+
+// Base class for errors in customer authentication and Customer Account API
+// requests. The message and cause are for server logs; status and
+// publicMessage are what the customer gets to see, and code is a stable
+// identifier for the audit log.
+export class CustomerAuthError extends Error {
+  code = "internal_error";
+  status = 500;
+  publicMessage = GENERIC_MESSAGE;
+
+  constructor(message, options) {
+    super(message, options);
+    this.name = new.target.name;
+  }
+}
+
+// The shop's OpenID or Customer Account API configuration couldn't be loaded
+export class DiscoveryError extends CustomerAuthError {
+  code = "discovery_failed";
+  status = 502;
+  publicMessage = "We couldn't reach the store's sign-in service. Please try again in a few minutes.";
+}
+
+// The login request doesn't name a shop this app can sign customers in to
+export class InvalidShopError extends CustomerAuthError {
+  code = "invalid_shop";
+  status = 400;
+  publicMessage = "We couldn't tell which store to sign you in to.";
+}
+
+// The login asks for scopes the app isn't configured to request
+export class InvalidScopeError extends CustomerAuthError {
+  code = "invalid_scope";
+  status = 400;
+  publicMessage = "We couldn't ask for the access this page needs.";
+}
+
+// The customer went through consent but the token still lacks a scope the page
+// needs, e.g. because the shop didn't grant it
+export class ScopeNotGrantedError extends CustomerAuthError {
+  code = "scope_not_granted";
+  status = 403;
+  publicMessage = "This page needs access that wasn't granted, so it can't be shown.";
+}
+
+// The callback's state is missing, unknown, already used or expired
+export class InvalidStateError extends CustomerAuthError {
+  code = "invalid_state";
+  status = 400;
+  publicMessage = "Your sign-in link has expired or was already used. Please sign in again.";
+}
+
+// The token endpoint refused a code or refresh token, or returned tokens we
+// couldn't verify
+export class TokenExchangeError extends CustomerAuthError {
+  code = "token_exchange_failed";
+  status = 401;
+  publicMessage = "We couldn't complete your sign-in. Please sign in again.";
+}
+
+// The customer's access token is gone or has expired with no way to refresh it
+export class TokenExpiredError extends CustomerAuthError {
+  code = "token_expired";
+  status = 401;
+  publicMessage = "Your session has expired. Please sign in again.";
+}
+
+// The token endpoint couldn't refresh a token for a reason other than rejecting
+// the refresh token, e.g. the shop being down or rate limiting us. The token is
+// kept, so a later request can try again.
+export class TokenRefreshUnavailableError extends CustomerAuthError {
+  code = "token_refresh_unavailable";
+  status = 503;
+  publicMessage = "We couldn't reach the store's sign-in service. Please try again in a few minutes.";
+}
+
+// A Customer Account API request failed or returned errors
+export class CustomerApiError extends CustomerAuthError {
+  code = "customer_api_error";
+  status = 502;
+  publicMessage = "We couldn't load your account details. Please try again in a few minutes.";
+
+  constructor(message, { errors, ...options } = {}) {
+    super(message, options);
+    this.errors = errors;
+  }
+}
+
+// Stable code for an error, for the audit log
+export function customerErrorCode(error) {
+  if (error instanceof CustomerAuthError) {
+    return error.code;
+  }
+  if (error instanceof Response) {
+    return `http_${error.status}`;
+  }
+  return "internal_error";
+}
+
+// Log an error in full and turn it into a response that's safe to show the
+// customer, for a route to throw to its ErrorBoundary. Responses such as
+// redirects and rate limits are passed through unchanged.
+export function customerErrorResponse(error, logMessage) {
+  if (error instanceof Response) {
+    return error;
+  }
+
+  console.error(`${logMessage}:`, error);
+
+  if (error instanceof CustomerAuthError) {
+    return Response.json({ message: error.publicMessage }, { status: error.status });
+  }
+  return Response.json({ message: GENERIC_MESSAGE }, { status: 500 });
+}
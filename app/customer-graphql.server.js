@@ -0,0 +1,63 @@
+import { Kind, parse } from "graphql";
+import { CustomerApiError } from "./customer-errors.server";
+import { getCustomerAccountApiConfiguration } from "./discovery.server";
+
+// Optional comma-separated list of operation names the browser may run through
+// the GraphQL proxy. When unset, any operation is forwarded.
+const allowedOperations = process.env.CUSTOMER_GRAPHQL_ALLOWED_OPERATIONS
+  ? process.env.CUSTOMER_GRAPHQL_ALLOWED_OPERATIONS.split(",").map((name) => name.trim())
+  : null;
+
+// Send a GraphQL request to the Customer Account API on behalf of a customer
+export async function customerAccountApiRequest(customerAccessToken, { query, variables, operationName }) {
+  const { graphql_api: graphqlApiUrl } = await getCustomerAccountApiConfiguration(
+    customerAccessToken.shop,
+  );
+
+  try {
+    return await fetch(graphqlApiUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": customerAccessToken.accessToken,
+      },
+      body: JSON.stringify({ query, variables, operationName }),
+    });
+  } catch (error) {
+    throw new CustomerApiError("Customer Account API request failed", { cause: error });
+  }
+}
+
+// Check a request's operation against CUSTOMER_GRAPHQL_ALLOWED_OPERATIONS. The
+// document is parsed, so names in comments or strings don't count, and the
+// operation checked is the one the API would run: the one operationName
+// selects, or the only one in the document.
+export function isAllowedOperation({ query, operationName }) {
+  if (!allowedOperations) {
+    return true;
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch {
+    return false;
+  }
+
+  const operations = document.definitions.filter(
+    (definition) => definition.kind === Kind.OPERATION_DEFINITION,
+  );
+
+  // Anonymous operations can't be matched against the allowlist
+  if (operations.some((operation) => !operation.name)) {
+    return false;
+  }
+
+  const operation = operationName
+    ? operations.find(({ name }) => name.value === operationName)
+    : operations.length === 1
+      ? operations[0]
+      : null;
+
+  return Boolean(operation) && allowedOperations.includes(operation.name.value);
+}
@@ -0,0 +1,210 @@
+// Customer Account API operations. They live here rather than in the routes so
+// the "customer" project in .graphqlrc.js can validate them against the Customer
+// Account API schema and generate their types (`npm run graphql-codegen`).
+// Keep each one a plain `#graphql` string without interpolation, since the
+// generated types are keyed by the exact query text.
+
+// Orders
+export const CUSTOMER_ORDERS_QUERY = `#graphql
+  query CustomerOrders($first: Int, $last: Int, $after: String, $before: String, $query: String) {
+    customer {
+      id
+      emailAddress {
+        emailAddress
+      }
+      firstName
+      lastName
+      orders(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: PROCESSED_AT, reverse: true) {
+        nodes {
+          id
+          name
+          processedAt
+          financialStatus
+          totalPrice {
+            amount
+            currencyCode
+          }
+          lineItems(first: 5) {
+            nodes {
+              id
+              title
+              quantity
+            }
+          }
+          fulfillments(first: 5) {
+            nodes {
+              id
+              status
+              latestShipmentStatus
+              trackingInformation {
+                company
+                number
+                url
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          hasPreviousPage
+          startCursor
+          endCursor
+        }
+      }
+    }
+  }`;
+
+export const CUSTOMER_ORDER_QUERY = `#graphql
+  query CustomerOrder($id: ID!) {
+    order(id: $id) {
+      id
+      name
+      processedAt
+      cancelledAt
+      financialStatus
+      statusPageUrl
+      subtotal {
+        amount
+        currencyCode
+      }
+      totalShipping {
+        amount
+        currencyCode
+      }
+      totalTax {
+        amount
+        currencyCode
+      }
+      totalPrice {
+        amount
+        currencyCode
+      }
+      shippingAddress {
+        formatted
+      }
+      lineItems(first: 50) {
+        nodes {
+          id
+          title
+          variantTitle
+          quantity
+          totalPrice {
+            amount
+            currencyCode
+          }
+        }
+      }
+      fulfillments(first: 10) {
+        nodes {
+          id
+          status
+          latestShipmentStatus
+          createdAt
+          trackingInformation {
+            company
+            number
+            url
+          }
+        }
+      }
+    }
+  }`;
+
+// Profile
+export const CUSTOMER_PROFILE_QUERY = `#graphql
+  query CustomerProfile {
+    customer {
+      id
+      firstName
+      lastName
+      emailAddress {
+        emailAddress
+      }
+      phoneNumber {
+        phoneNumber
+      }
+    }
+  }`;
+
+export const CUSTOMER_UPDATE_MUTATION = `#graphql
+  mutation CustomerUpdate($input: CustomerUpdateInput!) {
+    customerUpdate(input: $input) {
+      customer {
+        id
+        firstName
+        lastName
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }`;
+
+// Addresses
+export const CUSTOMER_ADDRESSES_QUERY = `#graphql
+  query CustomerAddresses {
+    customer {
+      id
+      defaultAddress {
+        id
+      }
+      addresses(first: 50) {
+        nodes {
+          id
+          firstName
+          lastName
+          company
+          address1
+          address2
+          city
+          zoneCode
+          territoryCode
+          zip
+          phoneNumber
+          formatted
+        }
+      }
+    }
+  }`;
+
+export const CUSTOMER_ADDRESS_CREATE_MUTATION = `#graphql
+  mutation CustomerAddressCreate($address: CustomerAddressInput!, $defaultAddress: Boolean) {
+    customerAddressCreate(address: $address, defaultAddress: $defaultAddress) {
+      customerAddress {
+        id
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }`;
+
+export const CUSTOMER_ADDRESS_UPDATE_MUTATION = `#graphql
+  mutation CustomerAddressUpdate($addressId: ID!, $address: CustomerAddressInput, $defaultAddress: Boolean) {
+    customerAddressUpdate(addressId: $addressId, address: $address, defaultAddress: $defaultAddress) {
+      customerAddress {
+        id
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }`;
+
+export const CUSTOMER_ADDRESS_DELETE_MUTATION = `#graphql
+  mutation CustomerAddressDelete($addressId: ID!) {
+    customerAddressDelete(addressId: $addressId) {
+      deletedAddressId
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }`;
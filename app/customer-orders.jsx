@@ -0,0 +1,63 @@
+// Display helpers shared by the customer order list and order detail pages
+
+export function formatMoney(money) {
+  if (!money) {
+    return "N/A";
+  }
+  return new Intl.NumberFormat("en", {
+    style: "currency",
+    currency: money.currencyCode,
+  }).format(Number(money.amount));
+}
+
+export function formatDate(isoDate) {
+  return isoDate ? new Date(isoDate).toLocaleDateString("en", { dateStyle: "medium" }) : "N/A";
+}
+
+export function formatStatus(status) {
+  if (!status) {
+    return "N/A";
+  }
+  const words = status.toLowerCase().split("_").join(" ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Summarise an order's fulfillments, since orders can ship in several parts
+export function fulfillmentSummary(order) {
+  const fulfillments = order.fulfillments?.nodes ?? [];
+
+  if (fulfillments.length === 0) {
+    return "Unfulfilled";
+  }
+
+  return fulfillments
+    .map((fulfillment) => formatStatus(fulfillment.latestShipmentStatus ?? fulfillment.status))
+    .join(", ");
+}
+
+// Links to each shipment's carrier tracking page, or null when nothing has shipped
+export function trackingLinks(fulfillments) {
+  const tracking = (fulfillments?.nodes ?? []).flatMap(
+    (fulfillment) => fulfillment.trackingInformation ?? [],
+  );
+
+  if (tracking.length === 0) {
+    return null;
+  }
+
+  return (
+    <span>
+      {tracking.map((info) => (
+        <span key={`${info.company}-${info.number}`} style={{ marginRight: "0.5rem" }}>
+          {info.url ? (
+            <a href={info.url} target="_blank" rel="noreferrer">
+              {info.company ?? "Tracking"} {info.number}
+            </a>
+          ) : (
+            `${info.company ?? "Tracking"} ${info.number ?? ""}`
+          )}
+        </span>
+      ))}
+    </span>
+  );
+}
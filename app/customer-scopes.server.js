@@ -0,0 +1,39 @@
+import { InvalidScopeError } from "./customer-errors.server";
+import { getCustomerClientConfig } from "./customer-shops.server";
+
+// What tokens stored before scopes were recorded were granted
+const LEGACY_SCOPE = "openid email customer-account-api:full";
+
+// Every login asks for this, whatever the shop is configured with, since the
+// callback needs the ID token it brings to know who signed in
+const REQUIRED_SCOPE = "openid";
+
+// Split space-separated scope strings into a list of unique scopes
+export function parseScopes(...values) {
+  return [...new Set(values.flatMap((value) => value?.split(/\s+/).filter(Boolean) ?? []))];
+}
+
+// Scopes a stored token was granted
+export function grantedScopes(customerAccessToken) {
+  return parseScopes(customerAccessToken.scope ?? LEGACY_SCOPE);
+}
+
+// Scopes a shop's login may ask for: its configured and optional scopes
+export function allowedScopes(shop) {
+  const { scopes, optionalScopes } = getCustomerClientConfig(shop);
+  return parseScopes(REQUIRED_SCOPE, scopes, optionalScopes);
+}
+
+// The scope parameter for a shop's login: openid and its configured scopes, plus
+// any extra ones asked for. Throws when an extra scope isn't configured for the shop, so
+// links to the login can't ask customers for arbitrary access.
+export function loginScope(shop, requestedScope) {
+  const allowed = new Set(allowedScopes(shop));
+
+  const unknown = parseScopes(requestedScope).filter((scope) => !allowed.has(scope));
+  if (unknown.length > 0) {
+    throw new InvalidScopeError(`Scopes not configured for ${shop}: ${unknown.join(" ")}`);
+  }
+
+  return parseScopes(REQUIRED_SCOPE, getCustomerClientConfig(shop).scopes, requestedScope).join(" ");
+}
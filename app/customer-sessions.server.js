@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import { createSessionStorage } from "react-router";
+import prisma from "./db.server";
+
+// Session storage that keeps customer sessions in the CustomerSession table and
+// only puts the session id in the cookie, so sessions can be revoked
+export function createDatabaseSessionStorage(cookie) {
+  return createSessionStorage({
+    cookie,
+    async createData(data, expires) {
+      const customerAccessToken = data.customerTokenId
+        ? await prisma.customerAccessToken.findUnique({
+            where: { id: data.customerTokenId },
+            select: { shop: true, customerId: true },
+          })
+        : null;
+
+      const customerSession = await prisma.customerSession.create({
+        data: {
+          // Session ids are bearer credentials, so use a random value rather than a cuid
+          id: crypto.randomBytes(32).toString("base64url"),
+          tokenId: data.customerTokenId ?? null,
+          shop: customerAccessToken?.shop ?? null,
+          customerId: customerAccessToken?.customerId ?? null,
+          userAgent: data.userAgent ?? null,
+          ip: data.ip ?? null,
+          data: JSON.stringify(data),
+          expiresAt: expires ?? null,
+        },
+      });
+      return customerSession.id;
+    },
+    async readData(id) {
+      // A cookie written by the cookie session storage holds data, not an id
+      if (typeof id !== "string") {
+        return null;
+      }
+
+      const customerSession = await prisma.customerSession.findUnique({
+        where: { id },
+      });
+
+      if (!customerSession) {
+        return null;
+      }
+      if (customerSession.expiresAt && customerSession.expiresAt <= new Date()) {
+        await prisma.customerSession.deleteMany({ where: { id } });
+        return null;
+      }
+
+      return JSON.parse(customerSession.data);
+    },
+    async updateData(id, data, expires) {
+      // updateMany, so a session revoked while this request was running stays revoked
+      await prisma.customerSession.updateMany({
+        where: { id },
+        data: {
+          data: JSON.stringify(data),
+          lastSeenAt: new Date(),
+          expiresAt: expires ?? null,
+        },
+      });
+    },
+    async deleteData(id) {
+      await prisma.customerSession.deleteMany({ where: { id } });
+    },
+  });
+}
+
+// Revoke one session, or every session of a customer ("log out of all devices").
+// Returns the revoked rows so callers can clean up the tokens they used.
+export async function revokeCustomerSessions(where) {
+  const customerSessions = await prisma.customerSession.findMany({ where });
+
+  await prisma.customerSession.deleteMany({
+    where: { id: { in: customerSessions.map(({ id }) => id) } },
+  });
+
+  return customerSessions;
+}
@@ -0,0 +1,74 @@
+import prisma from "./db.server";
+import { InvalidShopError } from "./customer-errors.server";
+
+// Optional per-shop client configuration as JSON, for shops whose customer
+// login uses a different client than the app's SHOPIFY_API_KEY or asks for
+// different scopes, e.g.
+// CUSTOMER_ACCOUNT_SHOPS='{"shop-a.myshopify.com":{"clientId":"...","scopes":"openid email"}}'
+const shopConfigs = process.env.CUSTOMER_ACCOUNT_SHOPS
+  ? JSON.parse(process.env.CUSTOMER_ACCOUNT_SHOPS)
+  : {};
+
+// Space-separated scopes every login asks for, and extra scopes routes may ask
+// for later through the consent route. Logins always ask for openid as well.
+const scopes = process.env.CUSTOMER_ACCOUNT_SCOPES ?? "openid email customer-account-api:full";
+const optionalScopes = process.env.CUSTOMER_ACCOUNT_OPTIONAL_SCOPES ?? "";
+
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*(\.[a-z0-9][a-z0-9-]*)+$/;
+
+// Work out which shop a customer is logging in to: the `shop` query param if
+// the app is installed there, otherwise SHOP_STOREFRONT_DOMAIN, otherwise the
+// only shop the app is installed on
+export async function resolveCustomerShop(request) {
+  const url = new URL(request.url);
+  const shopParam = url.searchParams.get("shop")?.trim().toLowerCase();
+
+  if (shopParam) {
+    if (!SHOP_DOMAIN_PATTERN.test(shopParam)) {
+      throw new InvalidShopError("Invalid shop parameter");
+    }
+    if (!(await isCustomerShop(shopParam))) {
+      throw new InvalidShopError(`The app is not installed on ${shopParam}`);
+    }
+    return shopParam;
+  }
+
+  if (process.env.SHOP_STOREFRONT_DOMAIN) {
+    return process.env.SHOP_STOREFRONT_DOMAIN;
+  }
+
+  const installedShops = await prisma.session.findMany({
+    distinct: ["shop"],
+    select: { shop: true },
+    take: 2,
+  });
+
+  if (installedShops.length !== 1) {
+    throw new InvalidShopError("Missing shop parameter");
+  }
+
+  return installedShops[0].shop;
+}
+
+// Get the client configuration customers of a shop log in with
+export function getCustomerClientConfig(shop) {
+  return {
+    clientId: process.env.SHOPIFY_API_KEY,
+    scopes,
+    optionalScopes,
+    ...shopConfigs[shop],
+  };
+}
+
+async function isCustomerShop(shop) {
+  if (shop === process.env.SHOP_STOREFRONT_DOMAIN || shopConfigs[shop]) {
+    return true;
+  }
+
+  const session = await prisma.session.findFirst({
+    where: { shop },
+    select: { id: true },
+  });
+
+  return Boolean(session);
+}
@@ -0,0 +1,178 @@
+import crypto from "crypto";
+import prisma from "./db.server";
+import { TokenExpiredError } from "./customer-errors.server";
+
+// Token columns that are encrypted at rest
+const ENCRYPTED_FIELDS = ["accessToken", "refreshToken", "idToken"];
+
+// Encrypted values look like enc:v1:<key id>:<iv>:<ciphertext>:<auth tag>
+const ENCRYPTED_PREFIX = "enc:v1:";
+
+// Encryption keys as comma-separated <key id>:<base64 32-byte key> pairs. The
+// first key encrypts new values; the rest are only used to decrypt values
+// written before a rotation, e.g.
+// CUSTOMER_TOKEN_ENCRYPTION_KEYS="2025-11:base64key,2025-01:base64oldkey"
+const encryptionKeys = parseEncryptionKeys(process.env.CUSTOMER_TOKEN_ENCRYPTION_KEYS);
+const currentKeyId = encryptionKeys.keys().next().value;
+
+if (!currentKeyId) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("CUSTOMER_TOKEN_ENCRYPTION_KEYS must be set in production");
+  }
+  console.warn("CUSTOMER_TOKEN_ENCRYPTION_KEYS is not set, customer tokens will be stored unencrypted");
+}
+
+function parseEncryptionKeys(value) {
+  const keys = new Map();
+
+  for (const entry of value?.split(",") ?? []) {
+    const [keyId, encodedKey] = entry.trim().split(":");
+    const key = Buffer.from(encodedKey ?? "", "base64");
+
+    if (!keyId || key.length !== 32) {
+      throw new Error("CUSTOMER_TOKEN_ENCRYPTION_KEYS entries must be <key id>:<base64 32-byte key>");
+    }
+    keys.set(keyId, key);
+  }
+
+  return keys;
+}
+
+function encryptValue(value, field) {
+  if (value == null || !currentKeyId) {
+    return value;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKeys.get(currentKeyId), iv);
+  // Bind the ciphertext to its column so values can't be swapped between fields
+  cipher.setAAD(Buffer.from(field));
+  const ciphertext = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+
+  return `${ENCRYPTED_PREFIX}${currentKeyId}:${[iv, ciphertext, cipher.getAuthTag()]
+    .map((part) => part.toString("base64url"))
+    .join(":")}`;
+}
+
+function decryptValue(value, field) {
+  // Values stored before encryption was enabled are read as they are
+  if (value == null || !value.startsWith(ENCRYPTED_PREFIX)) {
+    return value;
+  }
+
+  const [keyId, iv, ciphertext, authTag] = value.slice(ENCRYPTED_PREFIX.length).split(":");
+  const key = encryptionKeys.get(keyId);
+
+  // A key that was dropped from the config can't decrypt its tokens any more, so
+  // their customers have to sign in again
+  if (!key) {
+    console.error(`Customer token was encrypted with key ${keyId}, which isn't in CUSTOMER_TOKEN_ENCRYPTION_KEYS`);
+    throw new TokenExpiredError(`Customer token was encrypted with unknown key ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+  decipher.setAAD(Buffer.from(field));
+  decipher.setAuthTag(Buffer.from(authTag, "base64url"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64url")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+function isEncryptedWithCurrentKey(value) {
+  return value == null || value.startsWith(`${ENCRYPTED_PREFIX}${currentKeyId}:`);
+}
+
+function encryptData(data) {
+  const encrypted = { ...data };
+  for (const field of ENCRYPTED_FIELDS) {
+    if (field in encrypted) {
+      encrypted[field] = encryptValue(encrypted[field], field);
+    }
+  }
+  return encrypted;
+}
+
+function decryptRecord(record) {
+  if (!record) {
+    return record;
+  }
+  const decrypted = { ...record };
+  for (const field of ENCRYPTED_FIELDS) {
+    if (field in decrypted) {
+      decrypted[field] = decryptValue(decrypted[field], field);
+    }
+  }
+  return decrypted;
+}
+
+// Drop-in wrapper around prisma.customerAccessToken that encrypts token fields
+// on write and decrypts them on read. Encrypted fields can't be used in where
+// clauses, since every write uses a fresh IV.
+export const customerTokenStore = {
+  async create({ data, ...args }) {
+    return decryptRecord(await prisma.customerAccessToken.create({ ...args, data: encryptData(data) }));
+  },
+  async findUnique(args) {
+    return decryptRecord(await prisma.customerAccessToken.findUnique(args));
+  },
+  async findMany(args) {
+    return (await prisma.customerAccessToken.findMany(args)).map(decryptRecord);
+  },
+  async update({ data, ...args }) {
+    return decryptRecord(await prisma.customerAccessToken.update({ ...args, data: encryptData(data) }));
+  },
+  updateMany({ data, ...args }) {
+    return prisma.customerAccessToken.updateMany({ ...args, data: encryptData(data) });
+  },
+  delete(args) {
+    return prisma.customerAccessToken.delete(args);
+  },
+  deleteMany(args) {
+    return prisma.customerAccessToken.deleteMany(args);
+  },
+  count(args) {
+    return prisma.customerAccessToken.count(args);
+  },
+};
+
+// Re-encrypt every stored token that is in plaintext or uses an older key, so
+// old keys can be retired after a rotation. Returns the number of rows rewritten.
+export async function reencryptCustomerTokens({ batchSize = 100 } = {}) {
+  if (!currentKeyId) {
+    throw new Error("CUSTOMER_TOKEN_ENCRYPTION_KEYS must be set to re-encrypt customer tokens");
+  }
+
+  let cursor;
+  let rewritten = 0;
+
+  for (;;) {
+    const records = await prisma.customerAccessToken.findMany({
+      take: batchSize,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+      orderBy: { id: "asc" },
+    });
+
+    if (records.length === 0) {
+      return rewritten;
+    }
+
+    for (const record of records) {
+      if (ENCRYPTED_FIELDS.every((field) => isEncryptedWithCurrentKey(record[field]))) {
+        continue;
+      }
+
+      const decrypted = decryptRecord(record);
+      // Skip rows that changed since we read them, e.g. a token refresh; the
+      // refresh already wrote them with the current key
+      const { count } = await prisma.customerAccessToken.updateMany({
+        where: { id: record.id, updatedAt: record.updatedAt },
+        data: encryptData(Object.fromEntries(ENCRYPTED_FIELDS.map((field) => [field, decrypted[field]]))),
+      });
+      rewritten += count;
+    }
+
+    cursor = records[records.length - 1].id;
+  }
+}
@@ -0,0 +1,307 @@
+import { customerTokenStore } from "./customer-token-store.server";
+import { revokeCustomerSessions } from "./customer-sessions.server";
+import { getCustomerClientConfig } from "./customer-shops.server";
+import { recordCustomerAuthEvent } from "./customer-auth-events.server";
+import { TokenExchangeError, TokenExpiredError, TokenRefreshUnavailableError } from "./customer-errors.server";
+import { getOpenIdConfiguration } from "./discovery.server";
+
+// Refresh tokens shortly before they expire so a request doesn't start with a
+// token that runs out halfway through
+const REFRESH_LEEWAY_MS = 60 * 1000;
+
+// Only record a token's last use this often, so busy customers don't write on every request
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
+// Tokens deleted per query, to stay well under SQLite's limit on query parameters
+const DELETE_BATCH_SIZE = 500;
+
+// Revocation requests sent to a shop at once
+const REVOCATION_BATCH_SIZE = 10;
+
+// Refreshes currently in flight, keyed by CustomerAccessToken id, so concurrent
+// requests for the same token share one refresh_token grant
+const pendingRefreshes = new Map();
+
+export function isCustomerAccessTokenExpiring(customerAccessToken, now = Date.now()) {
+  if (!customerAccessToken.expiresAt) {
+    return false;
+  }
+  return customerAccessToken.expiresAt.getTime() - REFRESH_LEEWAY_MS <= now;
+}
+
+// Load a customer access token by id, refreshing it first if it has expired or is about to
+export async function getFreshCustomerAccessToken(tokenId) {
+  const customerAccessToken = await customerTokenStore.findUnique({
+    where: { id: tokenId },
+  });
+
+  if (!customerAccessToken) {
+    throw new TokenExpiredError("Access token not found");
+  }
+
+  if (!isCustomerAccessTokenExpiring(customerAccessToken)) {
+    return customerAccessToken;
+  }
+
+  if (!customerAccessToken.refreshToken) {
+    if (new Date() > customerAccessToken.expiresAt) {
+      const error = new TokenExpiredError("Access token has expired");
+      await expireCustomerAccessToken(customerAccessToken, error);
+      throw error;
+    }
+    return customerAccessToken;
+  }
+
+  return refreshCustomerAccessToken(customerAccessToken);
+}
+
+// Delete a token that can't be used any more and record that it expired. Later
+// requests with its session find no token and go to login without recording
+// the expiry again.
+async function expireCustomerAccessToken(customerAccessToken, error) {
+  const { count } = await customerTokenStore.deleteMany({
+    where: { id: customerAccessToken.id },
+  });
+  await revokeCustomerSessions({ tokenId: customerAccessToken.id });
+
+  // Concurrent requests can find the same dead token; only the one that deleted it records it
+  if (count > 0) {
+    await recordCustomerAuthEvent({
+      type: "token_expired",
+      outcome: "failure",
+      shop: customerAccessToken.shop,
+      customerId: customerAccessToken.customerId,
+      error,
+    });
+  }
+}
+
+// Tokens that can still be used: refreshable, never expiring or not expired yet
+function activeTokenWhere(where) {
+  return {
+    ...where,
+    OR: [{ refreshToken: { not: null } }, { expiresAt: null }, { expiresAt: { gt: new Date() } }],
+  };
+}
+
+// Active tokens, newest first, without their secrets. Pass a shop and
+// optionally a customerId to narrow them down.
+export function listActiveCustomerAccessTokens(where, { take } = {}) {
+  return customerTokenStore.findMany({
+    where: activeTokenWhere(where),
+    select: {
+      id: true,
+      customerId: true,
+      email: true,
+      createdAt: true,
+      lastUsedAt: true,
+      userAgent: true,
+      ip: true,
+    },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
+
+export function countActiveCustomerAccessTokens(where) {
+  return customerTokenStore.count({ where: activeTokenWhere(where) });
+}
+
+// Record that a token was just used, for the signed-in devices page. Returns
+// whether the use was recorded, which happens at most every few minutes.
+export async function touchCustomerAccessToken(customerAccessToken) {
+  const now = new Date();
+  if (customerAccessToken.lastUsedAt && now - customerAccessToken.lastUsedAt < LAST_USED_INTERVAL_MS) {
+    return false;
+  }
+
+  await customerTokenStore.updateMany({
+    where: { id: customerAccessToken.id },
+    data: { lastUsedAt: now },
+  });
+  return true;
+}
+
+// Exchange the stored refresh token for a new access token
+export function refreshCustomerAccessToken(customerAccessToken) {
+  const pending = pendingRefreshes.get(customerAccessToken.id);
+  if (pending) {
+    return pending;
+  }
+
+  const refresh = performRefresh(customerAccessToken).finally(() => {
+    pendingRefreshes.delete(customerAccessToken.id);
+  });
+  pendingRefreshes.set(customerAccessToken.id, refresh);
+
+  return refresh;
+}
+
+async function performRefresh(customerAccessToken) {
+  // Fetch OpenID configuration to get token endpoint
+  const openidConfig = await getOpenIdConfiguration(customerAccessToken.shop);
+  const tokenEndpoint = openidConfig.token_endpoint;
+
+  let tokenResponse;
+  try {
+    tokenResponse = await fetch(tokenEndpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({
+        grant_type: "refresh_token",
+        client_id: getCustomerClientConfig(customerAccessToken.shop).clientId,
+        refresh_token: customerAccessToken.refreshToken,
+      }),
+    });
+  } catch (error) {
+    throw new TokenRefreshUnavailableError("Token refresh request failed", { cause: error });
+  }
+
+  if (!tokenResponse.ok) {
+    const errorText = await tokenResponse.text();
+    const message = `Token refresh failed: ${tokenResponse.status} ${tokenResponse.statusText} - ${errorText}`;
+
+    // Only invalid_grant means the shop no longer accepts the refresh token.
+    // Anything else, e.g. an outage or a rate limit, leaves the token as it is.
+    if (tokenResponse.status !== 400 || tokenErrorCode(errorText) !== "invalid_grant") {
+      throw new TokenRefreshUnavailableError(message);
+    }
+
+    // The customer's sign-in has run out
+    const error = new TokenExchangeError(message);
+    await expireCustomerAccessToken(customerAccessToken, error);
+    throw error;
+  }
+
+  const tokenData = await tokenResponse.json();
+  const expiresAt = tokenData.expires_in
+    ? new Date(Date.now() + tokenData.expires_in * 1000)
+    : null;
+
+  const data = {
+    accessToken: tokenData.access_token,
+    refreshToken: tokenData.refresh_token ?? customerAccessToken.refreshToken,
+    idToken: tokenData.id_token ?? customerAccessToken.idToken,
+    // The token endpoint only sends scope when it differs from what was granted before
+    scope: tokenData.scope ?? customerAccessToken.scope,
+    expiresAt,
+  };
+
+  // Only replace the row if no other server process refreshed it since we read
+  // it. expiresAt changes with every refresh, unlike updatedAt, which recording
+  // the token's last use also bumps. When nothing matches, another process got
+  // there first and the row already holds its result.
+  await customerTokenStore.updateMany({
+    where: { id: customerAccessToken.id, expiresAt: customerAccessToken.expiresAt },
+    data,
+  });
+
+  const refreshedToken = await customerTokenStore.findUnique({
+    where: { id: customerAccessToken.id },
+  });
+
+  if (!refreshedToken) {
+    throw new TokenExpiredError("Access token not found");
+  }
+
+  return refreshedToken;
+}
+
+// The OAuth error code in a token endpoint's error response, e.g. invalid_grant
+function tokenErrorCode(body) {
+  try {
+    return JSON.parse(body).error ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// Delete a customer access token, revoking it at the shop first when the
+// OpenID configuration advertises a revocation endpoint
+export async function revokeCustomerAccessToken(customerAccessToken, openidConfig) {
+  // The row is still deleted if this fails, so the customer isn't kept signed in here
+  await revokeAtShop(customerAccessToken, openidConfig);
+
+  await customerTokenStore.deleteMany({
+    where: { id: customerAccessToken.id },
+  });
+  // Database-backed sessions using this token can't do anything without it
+  await revokeCustomerSessions({ tokenId: customerAccessToken.id });
+}
+
+async function revokeAtShop(customerAccessToken, openidConfig) {
+  if (!openidConfig?.revocation_endpoint) {
+    return;
+  }
+
+  try {
+    const revokeResponse = await fetch(openidConfig.revocation_endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({
+        client_id: getCustomerClientConfig(customerAccessToken.shop).clientId,
+        token: customerAccessToken.refreshToken ?? customerAccessToken.accessToken,
+        token_type_hint: customerAccessToken.refreshToken ? "refresh_token" : "access_token",
+      }),
+    });
+
+    if (!revokeResponse.ok) {
+      console.error(`Token revocation failed: ${revokeResponse.statusText}`);
+    }
+  } catch (error) {
+    console.error("Error revoking customer access token:", error);
+  }
+}
+
+// Delete several tokens belonging to one shop, and the sessions using them,
+// then revoke them at the shop. Revocation runs in the background in batches,
+// so signing out every customer of a shop doesn't wait on a request per token.
+export async function revokeCustomerAccessTokens(shop, customerAccessTokens) {
+  for (const batch of batches(customerAccessTokens, DELETE_BATCH_SIZE)) {
+    const tokenIds = batch.map(({ id }) => id);
+    await customerTokenStore.deleteMany({ where: { id: { in: tokenIds } } });
+    await revokeCustomerSessions({ tokenId: { in: tokenIds } });
+  }
+
+  if (customerAccessTokens.length > 0) {
+    revokeAtShopInBatches(shop, customerAccessTokens).catch((error) => {
+      // The tokens are already deleted here, even if we can't revoke them at the shop
+      console.error("Error revoking customer access tokens at the shop:", error);
+    });
+  }
+}
+
+// Sign out every customer of a shop. Only ids are loaded up front, and each
+// batch's tokens are read and decrypted as it's revoked. Returns how many were revoked.
+export async function revokeAllCustomerAccessTokens(shop) {
+  const tokenIds = await customerTokenStore.findMany({ where: { shop }, select: { id: true } });
+  let revoked = 0;
+
+  for (const batch of batches(tokenIds, DELETE_BATCH_SIZE)) {
+    const customerAccessTokens = await customerTokenStore.findMany({
+      where: { shop, id: { in: batch.map(({ id }) => id) } },
+    });
+    await revokeCustomerAccessTokens(shop, customerAccessTokens);
+    revoked += customerAccessTokens.length;
+  }
+
+  return revoked;
+}
+
+async function revokeAtShopInBatches(shop, customerAccessTokens) {
+  const openidConfig = await getOpenIdConfiguration(shop);
+
+  for (const batch of batches(customerAccessTokens, REVOCATION_BATCH_SIZE)) {
+    await Promise.all(batch.map((customerAccessToken) => revokeAtShop(customerAccessToken, openidConfig)));
+  }
+}
+
+function batches(items, size) {
+  return Array.from({ length: Math.ceil(items.length / size) }, (_, index) =>
+    items.slice(index * size, (index + 1) * size),
+  );
+}
@@ -0,0 +1,109 @@
+import { redirect } from "react-router";
+import { getFreshCustomerAccessToken, touchCustomerAccessToken } from "./customer-tokens.server";
+import { customerAccountApiRequest } from "./customer-graphql.server";
+import { recordCustomerAuthEvent } from "./customer-auth-events.server";
+import { grantedScopes, parseScopes } from "./customer-scopes.server";
+import {
+  customerErrorResponse,
+  ScopeNotGrantedError,
+  TokenExchangeError,
+  TokenExpiredError,
+} from "./customer-errors.server";
+import { getCustomerTokenId } from "./sessions.server";
+
+// Authenticate a customer request from the session cookie. Returns the stored
+// token, the customer's identity and a GraphQL client for the Customer Account
+// API, or throws a redirect to login that brings the customer back afterwards.
+async function authenticateCustomer(request) {
+  const tokenId = await getCustomerTokenId(request);
+
+  if (!tokenId) {
+    throw loginRedirect(request);
+  }
+
+  let customerAccessToken;
+  try {
+    customerAccessToken = await getFreshCustomerAccessToken(tokenId);
+  } catch (error) {
+    // A token that's gone or can't be refreshed means signing in again; anything
+    // else (e.g. the shop being unreachable) goes to the route's ErrorBoundary
+    if (error instanceof TokenExpiredError || error instanceof TokenExchangeError) {
+      console.error("Error loading customer access token:", error);
+      throw loginRedirect(request);
+    }
+    throw customerErrorResponse(error, "Error loading customer access token");
+  }
+
+  // Audit token use as often as the devices page records it, not on every request
+  if (await touchCustomerAccessToken(customerAccessToken)) {
+    await recordCustomerAuthEvent({
+      type: "token_use",
+      shop: customerAccessToken.shop,
+      customerId: customerAccessToken.customerId,
+      request,
+    });
+  }
+
+  return {
+    session: customerAccessToken,
+    shop: customerAccessToken.shop,
+    customer: {
+      id: customerAccessToken.customerId,
+      email: customerAccessToken.email,
+    },
+    /** @type {import("./types/customer-api").CustomerGraphQLClient} */
+    graphql: (query, variables) =>
+      customerAccountApiRequest(customerAccessToken, { query, variables }).catch((error) => {
+        throw customerErrorResponse(error, "Customer Account API request failed");
+      }),
+  };
+}
+
+function loginRedirect(request) {
+  const url = new URL(request.url);
+  const searchParams = new URLSearchParams({ return_to: `${url.pathname}${url.search}` });
+
+  // Keep the shop the customer was browsing, so login goes to the right store
+  if (url.searchParams.has("shop")) {
+    searchParams.set("shop", url.searchParams.get("shop"));
+  }
+
+  return redirect(`/customer-account-api/auth?${searchParams}`);
+}
+
+// Added to the page's URL on the way to consent, so coming back without the
+// scopes shows an error rather than going round again
+const CONSENT_ATTEMPTED_PARAM = "consent_attempted";
+
+// Make sure the signed-in customer's token was granted the scopes a route
+// needs, e.g. requireCustomerScope(request, session, "customer-account-api:full").
+// Otherwise throws a redirect through the consent route, which brings the
+// customer back to this page once they've granted them. If the shop still
+// didn't grant them, throws an error response for the route's ErrorBoundary.
+export function requireCustomerScope(request, session, ...scopes) {
+  const granted = grantedScopes(session);
+  const missing = parseScopes(...scopes).filter((scope) => !granted.includes(scope));
+
+  if (missing.length === 0) {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.searchParams.has(CONSENT_ATTEMPTED_PARAM)) {
+    throw customerErrorResponse(
+      new ScopeNotGrantedError(`Token still lacks ${missing.join(" ")} after consent`),
+      "Customer scope not granted",
+    );
+  }
+
+  url.searchParams.set(CONSENT_ATTEMPTED_PARAM, "1");
+  const searchParams = new URLSearchParams({
+    scope: missing.join(" "),
+    return_to: `${url.pathname}${url.search}`,
+  });
+  throw redirect(`/customer-account-api/consent?${searchParams}`);
+}
+
+export const authenticate = {
+  customer: authenticateCustomer,
+};
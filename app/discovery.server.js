@@ -0,0 +1,108 @@
+import { DiscoveryError } from "./customer-errors.server";
+
+// Discovery documents change rarely, so cache them for a few minutes when the
+// response doesn't say how long it may be cached for
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+// Fetch discovery documents from this origin instead of the shop, e.g. the local
+// mock provider from `npm run mock:openid`. Never allowed in production.
+const discoveryOrigin = process.env.CUSTOMER_ACCOUNT_DISCOVERY_ORIGIN;
+
+if (discoveryOrigin && process.env.NODE_ENV === "production") {
+  throw new Error("CUSTOMER_ACCOUNT_DISCOVERY_ORIGIN must not be set in production");
+}
+
+// Last good copy of each document, keyed by URL
+const documentCache = new Map();
+
+// Fetches currently in flight, keyed by URL, so concurrent requests share one round-trip
+const pendingFetches = new Map();
+
+// Get the shop's OpenID configuration (authorization, token, JWKS and end session endpoints)
+export function getOpenIdConfiguration(shop) {
+  return getDiscoveryDocument(
+    `${discoveryOrigin ?? `https://${shop}`}/.well-known/openid-configuration`,
+    "OpenID configuration",
+    ["issuer", "authorization_endpoint", "token_endpoint", "jwks_uri"],
+  );
+}
+
+// Get the shop's Customer Account API configuration (GraphQL endpoint)
+export function getCustomerAccountApiConfiguration(shop) {
+  return getDiscoveryDocument(
+    `${discoveryOrigin ?? `https://${shop}`}/.well-known/customer-account-api`,
+    "Customer Account API configuration",
+    ["graphql_api"],
+  );
+}
+
+async function getDiscoveryDocument(url, name, requiredFields) {
+  const cached = documentCache.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.document;
+  }
+
+  let pending = pendingFetches.get(url);
+  if (!pending) {
+    pending = fetchDiscoveryDocument(url, name, requiredFields).finally(() => {
+      pendingFetches.delete(url);
+    });
+    pendingFetches.set(url, pending);
+  }
+
+  try {
+    return await pending;
+  } catch (error) {
+    if (!cached) {
+      throw error;
+    }
+    // Fall back to the last good copy rather than failing the request
+    console.error(`Using cached ${name} after refresh failed:`, error);
+    return cached.document;
+  }
+}
+
+async function fetchDiscoveryDocument(url, name, requiredFields) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new DiscoveryError(`Failed to fetch ${name}`, { cause: error });
+  }
+
+  if (!response.ok) {
+    throw new DiscoveryError(`Failed to fetch ${name}: ${response.status} ${response.statusText}`);
+  }
+
+  const document = await response.json().catch(() => null);
+  const missingFields = requiredFields.filter(
+    (field) => typeof document?.[field] !== "string",
+  );
+
+  if (missingFields.length > 0) {
+    throw new DiscoveryError(`Invalid ${name}: missing ${missingFields.join(", ")}`);
+  }
+
+  documentCache.set(url, {
+    document,
+    expiresAt: Date.now() + cacheTtl(response.headers.get("Cache-Control")),
+  });
+
+  return document;
+}
+
+function cacheTtl(cacheControl) {
+  if (!cacheControl) {
+    return DEFAULT_TTL_MS;
+  }
+
+  const directives = cacheControl.toLowerCase().split(",").map((directive) => directive.trim());
+  if (directives.includes("no-store") || directives.includes("no-cache")) {
+    return 0;
+  }
+
+  const maxAge = directives.find((directive) => directive.startsWith("max-age="));
+  const seconds = maxAge ? parseInt(maxAge.slice("max-age=".length), 10) : NaN;
+
+  return Number.isNaN(seconds) ? DEFAULT_TTL_MS : seconds * 1000;
+}
@@ -4,9 +4,30 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startCleanupSweeper } from "./cleanup.server";
+import { renewCustomerSession } from "./sessions.server";
 
 export const streamTimeout = 5000;
 
+startCleanupSweeper();
+
+// Roll the customer session cookie forward on activity, every few minutes,
+// unless the route already set or cleared it (e.g. login or logout)
+async function renewCustomerSessionCookie(request, headers) {
+  if (headers.get("Set-Cookie")?.includes("__customer_session=")) {
+    return;
+  }
+  const setCookieHeader = await renewCustomerSession(request);
+  if (setCookieHeader) {
+    headers.append("Set-Cookie", setCookieHeader);
+  }
+}
+
+export async function handleDataRequest(response, { request }) {
+  await renewCustomerSessionCookie(request, response.headers);
+  return response;
+}
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -14,6 +35,7 @@ export default async function handleRequest(
   reactRouterContext,
 ) {
   addDocumentResponseHeaders(request, responseHeaders);
+  await renewCustomerSessionCookie(request, responseHeaders);
   const userAgent = request.headers.get("user-agent");
   const callbackName = isbot(userAgent ?? "") ? "onAllReady" : "onShellReady";
 
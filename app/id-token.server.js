@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import { DiscoveryError, TokenExchangeError } from "./customer-errors.server";
+
+// Keep a shop's signing keys for an hour, refetching early when a token is
+// signed with a key we haven't seen (the shop rotated its keys)
+const JWKS_TTL_MS = 60 * 60 * 1000;
+
+// Don't refetch the key set more often than this, so tokens with made-up key
+// ids can't be used to hammer the shop's JWKS endpoint
+const JWKS_MIN_REFETCH_MS = 60 * 1000;
+
+// Allowed clock difference between us and the shop when checking exp and iat
+const CLOCK_SKEW_SECONDS = 60;
+
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+  ES512: { hash: "sha512", dsaEncoding: "ieee-p1363" },
+};
+
+// Key sets keyed by JWKS URI
+const jwksCache = new Map();
+
+// Verify an ID token's signature and claims, returning the claims if it's valid
+export async function verifyIdToken(idToken, { openidConfig, clientId, nonce }) {
+  const [encodedHeader, encodedPayload, encodedSignature] = idToken?.split(".") ?? [];
+
+  if (!encodedHeader || !encodedPayload || !encodedSignature) {
+    throw new TokenExchangeError("ID token is malformed");
+  }
+
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+  const algorithm = SIGNING_ALGORITHMS[header.alg];
+
+  if (!algorithm) {
+    throw new TokenExchangeError(`ID token uses an unsupported algorithm: ${header.alg}`);
+  }
+
+  const jwk = await getSigningKey(openidConfig.jwks_uri, header.kid);
+
+  if (jwk.alg && jwk.alg !== header.alg) {
+    throw new TokenExchangeError("ID token algorithm does not match its signing key");
+  }
+
+  const isValidSignature = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    { key: crypto.createPublicKey({ key: jwk, format: "jwk" }), dsaEncoding: algorithm.dsaEncoding },
+    Buffer.from(encodedSignature, "base64url"),
+  );
+
+  if (!isValidSignature) {
+    throw new TokenExchangeError("ID token signature is invalid");
+  }
+
+  validateClaims(claims, { issuer: openidConfig.issuer, clientId, nonce });
+
+  return claims;
+}
+
+function validateClaims(claims, { issuer, clientId, nonce }) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.iss !== issuer) {
+    throw new TokenExchangeError("ID token issuer does not match the shop");
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(clientId)) {
+    throw new TokenExchangeError("ID token was not issued for this app");
+  }
+  if (audiences.length > 1 && claims.azp !== clientId) {
+    throw new TokenExchangeError("ID token was not issued for this app");
+  }
+
+  if (typeof claims.exp !== "number" || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new TokenExchangeError("ID token has expired");
+  }
+
+  if (typeof claims.iat !== "number" || claims.iat - CLOCK_SKEW_SECONDS > now) {
+    throw new TokenExchangeError("ID token was issued in the future");
+  }
+
+  if (nonce !== undefined && claims.nonce !== nonce) {
+    throw new TokenExchangeError("ID token nonce does not match");
+  }
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw new TokenExchangeError("ID token is malformed");
+  }
+}
+
+async function getSigningKey(jwksUri, kid) {
+  let cached = jwksCache.get(jwksUri);
+
+  if (!cached || cached.fetchedAt + JWKS_TTL_MS <= Date.now()) {
+    cached = await fetchJwks(jwksUri, cached);
+  }
+
+  let jwk = findSigningKey(cached.keys, kid);
+
+  if (!jwk && cached.fetchedAt + JWKS_MIN_REFETCH_MS <= Date.now()) {
+    // The shop may have rotated its keys since we last fetched them
+    cached = await fetchJwks(jwksUri, cached);
+    jwk = findSigningKey(cached.keys, kid);
+  }
+
+  if (!jwk) {
+    throw new TokenExchangeError("No matching signing key found for ID token");
+  }
+
+  return jwk;
+}
+
+function findSigningKey(keys, kid) {
+  const signingKeys = keys.filter((key) => !key.use || key.use === "sig");
+
+  if (kid) {
+    return signingKeys.find((key) => key.kid === kid);
+  }
+  // Without a key id we can only pick a key if there's no ambiguity
+  return signingKeys.length === 1 ? signingKeys[0] : undefined;
+}
+
+async function fetchJwks(jwksUri, previous) {
+  try {
+    const response = await fetch(jwksUri);
+
+    if (!response.ok) {
+      throw new DiscoveryError(`Failed to fetch JWKS: ${response.statusText}`);
+    }
+
+    const jwks = await response.json();
+
+    if (!Array.isArray(jwks?.keys)) {
+      throw new DiscoveryError("Invalid JWKS: missing keys");
+    }
+
+    const entry = { keys: jwks.keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, entry);
+    return entry;
+  } catch (error) {
+    if (!previous) {
+      throw error instanceof DiscoveryError ? error : new DiscoveryError("Failed to fetch JWKS", { cause: error });
+    }
+    // Keep using the keys we already have rather than failing every login
+    console.error("Using cached JWKS after refresh failed:", error);
+    return previous;
+  }
+}
@@ -0,0 +1,105 @@
+import prisma from "./db.server";
+import { getClientIp } from "./request.server";
+
+// How often the memory store drops finished windows
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Fixed-window counters kept in this process. Fine for a single server; use
+// the Prisma store when running more than one instance.
+export function createMemoryRateLimitStore() {
+  const windows = new Map();
+  let nextSweepAt = 0;
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+
+      // Drop finished windows once a minute so the map can't grow without bound,
+      // without scanning it on every request
+      if (now >= nextSweepAt) {
+        for (const [windowKey, { resetAt }] of windows) {
+          if (resetAt <= now) windows.delete(windowKey);
+        }
+        nextSweepAt = now + MEMORY_SWEEP_INTERVAL_MS;
+      }
+
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+}
+
+// Fixed-window counters in the RateLimit table, shared by every server instance
+export function createPrismaRateLimitStore(db = prisma) {
+  return {
+    hit(key, windowMs) {
+      return db.$transaction(async (tx) => {
+        const now = new Date();
+        const existing = await tx.rateLimit.findUnique({ where: { key } });
+
+        if (!existing || existing.resetAt <= now) {
+          const resetAt = new Date(now.getTime() + windowMs);
+          await tx.rateLimit.upsert({
+            where: { key },
+            create: { key, count: 1, resetAt },
+            update: { count: 1, resetAt },
+          });
+          return { count: 1, resetAt: resetAt.getTime() };
+        }
+
+        const updated = await tx.rateLimit.update({
+          where: { key },
+          data: { count: { increment: 1 } },
+        });
+        return { count: updated.count, resetAt: updated.resetAt.getTime() };
+      });
+    },
+  };
+}
+
+const store =
+  process.env.RATE_LIMIT_STORE === "prisma"
+    ? createPrismaRateLimitStore()
+    : createMemoryRateLimitStore();
+
+// Limits per endpoint, counted separately for each client IP and each shop
+export const RATE_LIMITS = {
+  auth: { perIp: 10, perShop: 300, windowMs: 60 * 1000 },
+  callback: { perIp: 10, perShop: 300, windowMs: 60 * 1000 },
+  orderList: { perIp: 60, perShop: 1000, windowMs: 60 * 1000 },
+};
+
+// Count a request against an endpoint's per-IP limit, throwing a 429 response
+// with Retry-After once the client IP has made too many requests. Requests
+// without a trustworthy client address are only limited per shop, rather than
+// all sharing one bucket.
+export async function enforceRateLimit(request, endpoint) {
+  const ip = getClientIp(request);
+  if (ip) {
+    await hit(`${endpoint}:ip:${ip}`, RATE_LIMITS[endpoint].perIp, endpoint);
+  }
+}
+
+// Count a request against an endpoint's per-shop limit, once the shop is known
+export async function enforceShopRateLimit(shop, endpoint) {
+  await hit(`${endpoint}:shop:${shop}`, RATE_LIMITS[endpoint].perShop, endpoint);
+}
+
+async function hit(key, limit, endpoint) {
+  const { count, resetAt } = await store.hit(key, RATE_LIMITS[endpoint].windowMs);
+
+  if (count > limit) {
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    throw new Response("Too many requests, please try again later.", {
+      status: 429,
+      headers: { "Retry-After": String(retryAfter) },
+    });
+  }
+}
@@ -0,0 +1,30 @@
+// How many proxies in front of the app append to X-Forwarded-For, e.g. 1 for
+// the Shopify CLI tunnel or a single load balancer. Entries to the left of the
+// ones they added were sent by the client and can't be trusted.
+const trustedProxyCount = Number(process.env.TRUSTED_PROXY_COUNT ?? 1);
+
+// A single-address header set by the edge in front of the app, e.g.
+// CF-Connecting-IP. Only set this when the app can't be reached without going
+// through that edge, since clients can send the header themselves otherwise.
+const clientIpHeader = process.env.CLIENT_IP_HEADER;
+
+// The client's address as seen by the outermost trusted proxy, or null when the
+// request didn't come through the configured proxies. React Router loaders don't
+// get the socket, so there's no address to fall back to.
+export function getClientIp(request) {
+  if (clientIpHeader) {
+    return request.headers.get(clientIpHeader)?.trim() || null;
+  }
+
+  if (trustedProxyCount <= 0) {
+    return null;
+  }
+
+  const forwardedFor = request.headers
+    .get("X-Forwarded-For")
+    ?.split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean) ?? [];
+
+  return forwardedFor[forwardedFor.length - trustedProxyCount] ?? null;
+}
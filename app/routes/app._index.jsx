@@ -1,238 +1,343 @@
 import { useEffect } from "react";
-import { useFetcher } from "react-router";
+import { useFetcher, useLoaderData } from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
+import { listCustomerAuthEvents } from "../customer-auth-events.server";
+import { getCustomerAuthStats } from "../customer-auth-stats.server";
+import { customerTokenStore } from "../customer-token-store.server";
+import { deleteCustomerDataExport, listCustomerDataExports } from "../customer-data.server";
+import {
+  countActiveCustomerAccessTokens,
+  listActiveCustomerAccessTokens,
+  revokeAllCustomerAccessTokens,
+  revokeCustomerAccessTokens,
+} from "../customer-tokens.server";
+import { describeDevice } from "../customer-devices";
 
-export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+const STATS_DAYS = 14;
+
+// Most recent sign-ins listed on the dashboard
+const TOKEN_LIMIT = 50;
+
+// Most recent audit events listed on the dashboard
+const EVENT_LIMIT = 25;
 
-  return null;
+const EVENT_LABELS = {
+  auth_start: "Sign-in started",
+  callback: "Signed in",
+  token_use: "Session used",
+  token_expired: "Session expired",
+  logout: "Signed out",
+  customer_data_request: "Data request",
+  customer_redact: "Customer data erased",
+  shop_redact: "Shop data erased",
+  app_uninstalled: "App uninstalled",
 };
 
-export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const color = ["Red", "Orange", "Yellow", "Green"][
-    Math.floor(Math.random() * 4)
-  ];
-  const response = await admin.graphql(
-    `#graphql
-      mutation populateProduct($product: ProductCreateInput!) {
-        productCreate(product: $product) {
-          product {
-            id
-            title
-            handle
-            status
-            variants(first: 10) {
-              edges {
-                node {
-                  id
-                  price
-                  barcode
-                  createdAt
-                }
-              }
-            }
-          }
-        }
-      }`,
-    {
-      variables: {
-        product: {
-          title: `${color} Snowboard`,
-        },
-      },
-    },
-  );
-  const responseJson = await response.json();
-  const product = responseJson.data.productCreate.product;
-  const variantId = product.variants.edges[0].node.id;
-  const variantResponse = await admin.graphql(
-    `#graphql
-    mutation shopifyReactRouterTemplateUpdateVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-        productVariants {
-          id
-          price
-          barcode
-          createdAt
-        }
-      }
-    }`,
-    {
-      variables: {
-        productId: product.id,
-        variants: [{ id: variantId, price: "100.00" }],
-      },
-    },
-  );
-  const variantResponseJson = await variantResponse.json();
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [activeTokenCount, tokens, stats, dataExports, events] = await Promise.all([
+    countActiveCustomerAccessTokens({ shop: session.shop }),
+    listActiveCustomerAccessTokens({ shop: session.shop }, { take: TOKEN_LIMIT }),
+    getCustomerAuthStats(session.shop, STATS_DAYS),
+    listCustomerDataExports(session.shop),
+    listCustomerAuthEvents({
+      shop: session.shop,
+      from: new Date(Date.now() - STATS_DAYS * 24 * 60 * 60 * 1000),
+      take: EVENT_LIMIT,
+    }),
+  ]);
 
   return {
-    product: responseJson.data.productCreate.product,
-    variant: variantResponseJson.data.productVariantsBulkUpdate.productVariants,
+    activeTokenCount,
+    stats,
+    dataExports: dataExports.map((dataExport) => ({
+      ...dataExport,
+      createdAt: dataExport.createdAt.toISOString(),
+    })),
+    tokens: tokens.map((token) => ({
+      id: token.id,
+      customer: token.email ?? token.customerId ?? "Unknown customer",
+      device: describeDevice(token.userAgent),
+      createdAt: token.createdAt.toISOString(),
+      lastUsedAt: token.lastUsedAt?.toISOString() ?? null,
+    })),
+    events: events.map((event) => ({
+      id: event.id,
+      event: EVENT_LABELS[event.type] ?? event.type,
+      outcome: event.outcome,
+      errorCode: event.errorCode,
+      customerId: event.customerId,
+      device: event.userAgent ? describeDevice(event.userAgent) : null,
+      createdAt: event.createdAt.toISOString(),
+    })),
   };
 };
 
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "deleteExport") {
+    await deleteCustomerDataExport(session.shop, String(formData.get("exportId")));
+    return { deletedExport: true };
+  }
+
+  if (intent === "revokeAll") {
+    return { revoked: await revokeAllCustomerAccessTokens(session.shop) };
+  }
+
+  if (intent === "revoke") {
+    // Only ever touch tokens of the merchant's own shop
+    const tokens = await customerTokenStore.findMany({
+      where: { shop: session.shop, id: String(formData.get("tokenId")) },
+    });
+    await revokeCustomerAccessTokens(session.shop, tokens);
+    return { revoked: tokens.length };
+  }
+
+  return { revoked: 0 };
+};
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString() : "N/A";
+}
+
+function sum(stats, field) {
+  return stats.reduce((total, day) => total + day[field], 0);
+}
+
+// Fetch an export and save it as a file. fetch rather than a link, so App Bridge
+// adds the session token the admin route needs.
+async function downloadExport(exportId) {
+  const response = await fetch(`/app/customer-data-exports/${exportId}`);
+  if (!response.ok) {
+    throw new Error(`Downloading export ${exportId} failed: ${response.status}`);
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `customer-data-${exportId}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 export default function Index() {
+  const { activeTokenCount, dataExports, events, stats, tokens } = useLoaderData();
   const fetcher = useFetcher();
+  const exportFetcher = useFetcher();
   const shopify = useAppBridge();
-  const isLoading =
-    ["loading", "submitting"].includes(fetcher.state) &&
-    fetcher.formMethod === "POST";
+  const isRevoking = fetcher.state !== "idle";
 
   useEffect(() => {
-    if (fetcher.data?.product?.id) {
-      shopify.toast.show("Product created");
+    if (fetcher.state === "idle" && fetcher.data?.revoked !== undefined) {
+      shopify.toast.show(`Signed out ${fetcher.data.revoked} customer session(s)`);
     }
-  }, [fetcher.data?.product?.id, shopify]);
-  const generateProduct = () => fetcher.submit({}, { method: "POST" });
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  const revoke = (tokenId) => fetcher.submit({ intent: "revoke", tokenId }, { method: "POST" });
+  const revokeAll = () => fetcher.submit({ intent: "revokeAll" }, { method: "POST" });
+  const download = (exportId) =>
+    downloadExport(exportId).catch((error) => {
+      console.error(error);
+      shopify.toast.show("Couldn't download the export. Please try again.", { isError: true });
+    });
+
+  const metrics = [
+    ["Active customer sessions", activeTokenCount],
+    [`Sign-ins (last ${STATS_DAYS} days)`, sum(stats, "logins")],
+    [`Failed callbacks (last ${STATS_DAYS} days)`, sum(stats, "failedCallbacks")],
+    [`Token expiries (last ${STATS_DAYS} days)`, sum(stats, "tokenExpiries")],
+  ];
 
   return (
-    <s-page heading="Shopify app template">
-      <s-button slot="primary-action" onClick={generateProduct}>
-        Generate a product
+    <s-page heading="Customer accounts">
+      <s-button
+        slot="primary-action"
+        tone="critical"
+        commandFor="sign-out-all-modal"
+        command="--show"
+        disabled={tokens.length === 0 || isRevoking}
+      >
+        Sign out all customers
       </s-button>
 
-      <s-section heading="Congrats on creating a new Shopify app 🎉">
+      <s-modal id="sign-out-all-modal" heading="Sign out all customers?">
         <s-paragraph>
-          This embedded app template uses{" "}
-          <s-link
-            href="https://shopify.dev/docs/apps/tools/app-bridge"
-            target="_blank"
-          >
-            App Bridge
-          </s-link>{" "}
-          interface examples like an{" "}
-          <s-link href="/app/additional">additional page in the app nav</s-link>
-          , as well as an{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            Admin GraphQL
-          </s-link>{" "}
-          mutation demo, to provide a starting point for app development.
+          All {activeTokenCount} signed-in customers will have to sign in again. This can&apos;t be undone.
         </s-paragraph>
+        <s-button
+          slot="primary-action"
+          variant="primary"
+          tone="critical"
+          commandFor="sign-out-all-modal"
+          command="--hide"
+          onClick={revokeAll}
+        >
+          Sign out all customers
+        </s-button>
+        <s-button slot="secondary-actions" commandFor="sign-out-all-modal" command="--hide">
+          Cancel
+        </s-button>
+      </s-modal>
+
+      <s-section heading="Overview">
+        <s-grid gridTemplateColumns="repeat(4, 1fr)" gap="base">
+          {metrics.map(([label, value]) => (
+            <s-box key={label} padding="base" borderWidth="base" borderRadius="base">
+              <s-text>{label}</s-text>
+              <s-heading>{value}</s-heading>
+            </s-box>
+          ))}
+        </s-grid>
       </s-section>
-      <s-section heading="Get started with products">
-        <s-paragraph>
-          Generate a product with GraphQL and get the JSON output for that
-          product. Learn more about the{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql/latest/mutations/productCreate"
-            target="_blank"
-          >
-            productCreate
-          </s-link>{" "}
-          mutation in our API references.
-        </s-paragraph>
-        <s-stack direction="inline" gap="base">
-          <s-button
-            onClick={generateProduct}
-            {...(isLoading ? { loading: true } : {})}
-          >
-            Generate a product
-          </s-button>
-          {fetcher.data?.product && (
-            <s-button
-              onClick={() => {
-                shopify.intents.invoke?.("edit:shopify/Product", {
-                  value: fetcher.data?.product?.id,
-                });
-              }}
-              target="_blank"
-              variant="tertiary"
-            >
-              Edit product
-            </s-button>
-          )}
-        </s-stack>
-        {fetcher.data?.product && (
-          <s-section heading="productCreate mutation">
-            <s-stack direction="block" gap="base">
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.product, null, 2)}</code>
-                </pre>
-              </s-box>
-
-              <s-heading>productVariantsBulkUpdate mutation</s-heading>
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.variant, null, 2)}</code>
-                </pre>
-              </s-box>
-            </s-stack>
-          </s-section>
+
+      <s-section heading="Daily activity">
+        <s-table>
+          <s-table-header-row>
+            <s-table-header>Date</s-table-header>
+            <s-table-header format="numeric">Sign-ins</s-table-header>
+            <s-table-header format="numeric">Failed callbacks</s-table-header>
+            <s-table-header format="numeric">Token expiries</s-table-header>
+          </s-table-header-row>
+          <s-table-body>
+            {[...stats].reverse().map((day) => (
+              <s-table-row key={day.date}>
+                <s-table-cell>{day.date}</s-table-cell>
+                <s-table-cell>{day.logins}</s-table-cell>
+                <s-table-cell>{day.failedCallbacks}</s-table-cell>
+                <s-table-cell>{day.tokenExpiries}</s-table-cell>
+              </s-table-row>
+            ))}
+          </s-table-body>
+        </s-table>
+      </s-section>
+
+      <s-section heading="Signed-in customers">
+        {tokens.length === 0 ? (
+          <s-paragraph>No customers are signed in right now.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Customer</s-table-header>
+              <s-table-header>Device</s-table-header>
+              <s-table-header>Signed in</s-table-header>
+              <s-table-header>Last active</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {tokens.map((token) => (
+                <s-table-row key={token.id}>
+                  <s-table-cell>{token.customer}</s-table-cell>
+                  <s-table-cell>{token.device}</s-table-cell>
+                  <s-table-cell>{formatDateTime(token.createdAt)}</s-table-cell>
+                  <s-table-cell>{formatDateTime(token.lastUsedAt)}</s-table-cell>
+                  <s-table-cell>
+                    <s-button
+                      variant="tertiary"
+                      tone="critical"
+                      onClick={() => revoke(token.id)}
+                      disabled={isRevoking}
+                    >
+                      Sign out
+                    </s-button>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+        {activeTokenCount > tokens.length && (
+          <s-paragraph>
+            Showing the {tokens.length} most recent of {activeTokenCount} sessions.
+          </s-paragraph>
         )}
       </s-section>
 
-      <s-section slot="aside" heading="App template specs">
-        <s-paragraph>
-          <s-text>Framework: </s-text>
-          <s-link href="https://reactrouter.com/" target="_blank">
-            React Router
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Interface: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/app-home/using-polaris-components"
-            target="_blank"
-          >
-            Polaris web components
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>API: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            GraphQL
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Database: </s-text>
-          <s-link href="https://www.prisma.io/" target="_blank">
-            Prisma
-          </s-link>
-        </s-paragraph>
+      <s-section heading="Recent activity">
+        {events.length === 0 ? (
+          <s-paragraph>No sign-in activity in the last {STATS_DAYS} days.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Event</s-table-header>
+              <s-table-header>Outcome</s-table-header>
+              <s-table-header>Customer ID</s-table-header>
+              <s-table-header>Device</s-table-header>
+              <s-table-header>Time</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {events.map((event) => (
+                <s-table-row key={event.id}>
+                  <s-table-cell>{event.event}</s-table-cell>
+                  <s-table-cell>
+                    {event.outcome === "success" ? (
+                      <s-badge tone="success">Success</s-badge>
+                    ) : (
+                      <s-badge tone="critical">{event.errorCode ?? "Failed"}</s-badge>
+                    )}
+                  </s-table-cell>
+                  <s-table-cell>{event.customerId ?? "N/A"}</s-table-cell>
+                  <s-table-cell>{event.device ?? "N/A"}</s-table-cell>
+                  <s-table-cell>{formatDateTime(event.createdAt)}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
       </s-section>
 
-      <s-section slot="aside" heading="Next steps">
-        <s-unordered-list>
-          <s-list-item>
-            Build an{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/getting-started/build-app-example"
-              target="_blank"
-            >
-              example app
-            </s-link>
-          </s-list-item>
-          <s-list-item>
-            Explore Shopify&apos;s API with{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/tools/graphiql-admin-api"
-              target="_blank"
-            >
-              GraphiQL
-            </s-link>
-          </s-list-item>
-        </s-unordered-list>
+      <s-section heading="Customer data requests">
+        {dataExports.length === 0 ? (
+          <s-paragraph>No customers have asked for their data.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Customer ID</s-table-header>
+              <s-table-header>Request</s-table-header>
+              <s-table-header>Received</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {dataExports.map((dataExport) => (
+                <s-table-row key={dataExport.id}>
+                  <s-table-cell>{dataExport.customerId}</s-table-cell>
+                  <s-table-cell>{dataExport.dataRequestId ?? "N/A"}</s-table-cell>
+                  <s-table-cell>{formatDateTime(dataExport.createdAt)}</s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="small-200">
+                      <s-button variant="tertiary" onClick={() => download(dataExport.id)}>
+                        Download
+                      </s-button>
+                      <s-button
+                        variant="tertiary"
+                        tone="critical"
+                        onClick={() =>
+                          exportFetcher.submit(
+                            { intent: "deleteExport", exportId: dataExport.id },
+                            { method: "POST" },
+                          )
+                        }
+                        disabled={exportFetcher.state !== "idle"}
+                      >
+                        Delete
+                      </s-button>
+                    </s-stack>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+        <s-paragraph>
+          Send each export to the customer through the store, then delete it here.
+        </s-paragraph>
       </s-section>
     </s-page>
   );
@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server";
+import { getCustomerDataExport } from "../customer-data.server";
+
+// Download a stored customers/data_request export as a JSON file
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const customerDataExport = await getCustomerDataExport(session.shop, params.id);
+  if (!customerDataExport) {
+    throw new Response("Not found", { status: 404 });
+  }
+
+  return new Response(customerDataExport.data, {
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Disposition": `attachment; filename="customer-${customerDataExport.customerId}-data.json"`,
+      "Cache-Control": "no-store",
+    },
+  });
+};
@@ -0,0 +1,27 @@
+export const ADDRESS_FIELDS = [
+  "firstName",
+  "lastName",
+  "company",
+  "address1",
+  "address2",
+  "city",
+  "zoneCode",
+  "territoryCode",
+  "zip",
+  "phoneNumber",
+];
+
+// Map customerAddress* userErrors to the address form fields they belong to.
+// The API reports fields as a path, e.g. ["address", "zip"].
+export function addressErrorMessages(userErrors) {
+  /** @type {Record<string, string>} */
+  const errors = {};
+
+  for (const userError of userErrors ?? []) {
+    const field = userError.field?.[userError.field.length - 1];
+    const key = ADDRESS_FIELDS.includes(field) ? field : "form";
+    errors[key] ??= userError.message;
+  }
+
+  return errors;
+}
@@ -0,0 +1,255 @@
+// @ts-check
+import { Form, Link, useActionData, useLoaderData } from "react-router";
+import { authenticate, requireCustomerScope } from "../../customer.server";
+import { CustomerErrorBoundary } from "../../customer-error-boundary";
+import { CustomerApiError, customerErrorResponse } from "../../customer-errors.server";
+import {
+  CUSTOMER_ADDRESS_CREATE_MUTATION,
+  CUSTOMER_ADDRESS_DELETE_MUTATION,
+  CUSTOMER_ADDRESS_UPDATE_MUTATION,
+  CUSTOMER_ADDRESSES_QUERY,
+} from "../../customer-operations.server";
+import { ADDRESS_FIELDS, addressErrorMessages } from "./error.server";
+
+const MAX_FIELD_LENGTH = 255;
+
+/** @typedef {import("../../types/customer.generated").CustomerAddressesQuery["customer"]["addresses"]["nodes"][number]} CustomerAddress */
+/** @typedef {Record<string, string>} FormErrors */
+
+/**
+ * @param {FormData} formData
+ * @returns {Record<string, string | null>}
+ */
+function readAddress(formData) {
+  /** @type {Record<string, string | null>} */
+  const address = {};
+  for (const field of ADDRESS_FIELDS) {
+    const value = String(formData.get(field) ?? "").trim();
+    address[field] = value || null;
+  }
+  address.territoryCode = address.territoryCode?.toUpperCase() ?? null;
+  return address;
+}
+
+/** @param {Record<string, string | null>} address */
+function validateAddress(address) {
+  /** @type {FormErrors} */
+  const errors = {};
+  if (!address.address1) {
+    errors.address1 = "Address is required";
+  }
+  if (!address.city) {
+    errors.city = "City is required";
+  }
+  if (!address.territoryCode) {
+    errors.territoryCode = "Country is required";
+  } else if (!/^[A-Z]{2}$/.test(address.territoryCode)) {
+    errors.territoryCode = "Use a two-letter country code, e.g. CA";
+  }
+  for (const field of ADDRESS_FIELDS) {
+    if ((address[field]?.length ?? 0) > MAX_FIELD_LENGTH) {
+      errors[field] ??= `Must be ${MAX_FIELD_LENGTH} characters or fewer`;
+    }
+  }
+  return errors;
+}
+
+// Wait for an address mutation and turn its result into the action's response for the given form
+/**
+ * @param {Promise<import("../../types/customer-api").CustomerGraphQLResponse<
+ *   Record<string, { userErrors: Array<{ field?: string[] | null, message: string }> } | null | undefined>
+ * >>} mutation
+ * @param {string} formId
+ * @returns {Promise<{ formId: string, errors: FormErrors }>}
+ */
+async function runAddressMutation(mutation, formId) {
+  const response = await mutation;
+  const result = await response.json().catch(() => null);
+  const payload = result?.data && Object.values(result.data)[0];
+
+  if (!response.ok || !payload) {
+    console.error("Customer Account API mutation failed:", response.status, result?.errors);
+    return { formId, errors: { form: "We couldn't save your changes. Please try again." } };
+  }
+
+  if (payload.userErrors.length > 0) {
+    return { formId, errors: addressErrorMessages(payload.userErrors) };
+  }
+
+  return { formId, errors: {} };
+}
+
+/** @param {import("./+types/route").Route.LoaderArgs} args */
+export const loader = async ({ request }) => {
+  const { graphql, session } = await authenticate.customer(request);
+  // Managing addresses needs the full Customer Account API scope
+  requireCustomerScope(request, session, "customer-account-api:full");
+
+  const response = await graphql(CUSTOMER_ADDRESSES_QUERY);
+  const result = await response.json().catch(() => null);
+
+  if (!response.ok || !result?.data?.customer) {
+    throw customerErrorResponse(
+      new CustomerApiError(`CustomerAddresses query failed: ${response.status}`, { errors: result?.errors }),
+      "Customer Account API query failed",
+    );
+  }
+
+  const { addresses, defaultAddress } = result.data.customer;
+  return {
+    addresses: addresses.nodes,
+    defaultAddressId: defaultAddress?.id ?? null,
+  };
+};
+
+/** @param {import("./+types/route").Route.ActionArgs} args */
+export const action = async ({ request }) => {
+  const { graphql, session } = await authenticate.customer(request);
+  requireCustomerScope(request, session, "customer-account-api:full");
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const addressId = String(formData.get("addressId") ?? "");
+  const formId = addressId || "new";
+
+  if (intent !== "create" && !addressId.startsWith("gid://shopify/CustomerAddress/")) {
+    return { formId, errors: { form: "Address not found" } };
+  }
+
+  switch (intent) {
+    case "create":
+    case "update": {
+      const address = readAddress(formData);
+      const errors = validateAddress(address);
+      if (Object.keys(errors).length > 0) {
+        return { formId, errors };
+      }
+
+      const defaultAddress = formData.get("defaultAddress") === "on";
+      return intent === "create"
+        ? runAddressMutation(graphql(CUSTOMER_ADDRESS_CREATE_MUTATION, { address, defaultAddress }), formId)
+        : runAddressMutation(graphql(CUSTOMER_ADDRESS_UPDATE_MUTATION, { addressId, address, defaultAddress }), formId);
+    }
+    case "setDefault":
+      return runAddressMutation(graphql(CUSTOMER_ADDRESS_UPDATE_MUTATION, { addressId, defaultAddress: true }), formId);
+    case "delete":
+      return runAddressMutation(graphql(CUSTOMER_ADDRESS_DELETE_MUTATION, { addressId }), formId);
+    default:
+      return { formId, errors: { form: "Unknown action" } };
+  }
+};
+
+/** @type {Array<[Exclude<keyof CustomerAddress, "id" | "formatted">, string]>} */
+const FIELD_LABELS = [
+  ["firstName", "First name"],
+  ["lastName", "Last name"],
+  ["company", "Company"],
+  ["address1", "Address"],
+  ["address2", "Apartment, suite, etc."],
+  ["city", "City"],
+  ["zoneCode", "Province or state code"],
+  ["territoryCode", "Country code"],
+  ["zip", "Postal code"],
+  ["phoneNumber", "Phone"],
+];
+
+/**
+ * @param {{ intent: "create" | "update", address: CustomerAddress | null, errors: FormErrors, isDefault: boolean }} props
+ */
+function addressForm({ intent, address, errors, isDefault }) {
+  return (
+    <Form method="post" style={{ display: "grid", gap: "0.5rem", maxWidth: "24rem" }}>
+      <input type="hidden" name="intent" value={intent} />
+      {address && <input type="hidden" name="addressId" value={address.id} />}
+
+      {FIELD_LABELS.map(([field, label]) => (
+        <label key={field}>
+          {label}
+          <br />
+          <input
+            name={field}
+            defaultValue={address?.[field] ?? ""}
+            maxLength={MAX_FIELD_LENGTH}
+            aria-invalid={Boolean(errors[field])}
+          />
+          {errors[field] && <div style={{ color: "#c62828" }}>{errors[field]}</div>}
+        </label>
+      ))}
+
+      <label>
+        <input type="checkbox" name="defaultAddress" defaultChecked={isDefault} /> Use as default address
+      </label>
+
+      {errors.form && <p style={{ color: "#c62828", margin: 0 }}>{errors.form}</p>}
+
+      <button type="submit">{intent === "create" ? "Add address" : "Save address"}</button>
+    </Form>
+  );
+}
+
+export default function CustomerAccountApiAddresses() {
+  const { addresses, defaultAddressId } = /** @type {import("./+types/route").Route.ComponentProps["loaderData"]} */ (
+    useLoaderData()
+  );
+  const actionData = /** @type {import("./+types/route").Route.ComponentProps["actionData"]} */ (useActionData());
+  /** @param {string} formId */
+  const errorsFor = (formId) => (actionData?.formId === formId ? actionData.errors : {});
+
+  return (
+    <div style={{ padding: "2rem", fontFamily: "system-ui, sans-serif" }}>
+      <Link to="/customer-account-api/order-list">← Orders</Link>
+      <h1>Your addresses</h1>
+
+      {addresses?.length === 0 && (
+        <div style={{ marginTop: "1rem", padding: "1rem", backgroundColor: "#fff9e6", borderRadius: "4px" }}>
+          <em>You haven&apos;t saved any addresses yet.</em>
+        </div>
+      )}
+
+      {addresses?.map((address) => {
+        const isDefault = address.id === defaultAddressId;
+        const errors = errorsFor(address.id);
+
+        return (
+          <div key={address.id} style={{ marginTop: "1rem", padding: "1rem", border: "1px solid #ddd", borderRadius: "8px" }}>
+            {isDefault && <strong>Default address</strong>}
+            {address.formatted.map((line) => (
+              <div key={line}>{line}</div>
+            ))}
+
+            <div style={{ display: "flex", gap: "0.5rem", marginTop: "0.5rem" }}>
+              {!isDefault && (
+                <Form method="post">
+                  <input type="hidden" name="intent" value="setDefault" />
+                  <input type="hidden" name="addressId" value={address.id} />
+                  <button type="submit">Set as default</button>
+                </Form>
+              )}
+              <Form method="post">
+                <input type="hidden" name="intent" value="delete" />
+                <input type="hidden" name="addressId" value={address.id} />
+                <button type="submit">Delete</button>
+              </Form>
+            </div>
+
+            <details open={Object.keys(errors).length > 0} style={{ marginTop: "0.5rem" }}>
+              <summary>Edit</summary>
+              {addressForm({ intent: "update", address, errors, isDefault })}
+            </details>
+          </div>
+        );
+      })}
+
+      {addresses && (
+        <div style={{ marginTop: "2rem" }}>
+          <h2>Add an address</h2>
+          {addressForm({ intent: "create", address: null, errors: errorsFor("new"), isDefault: false })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function ErrorBoundary() {
+  return <CustomerErrorBoundary />;
+}
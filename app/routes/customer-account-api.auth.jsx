@@ -1,7 +1,15 @@
 // [START step4-define-pkce-helpers]
-import { redirect, useLoaderData } from "react-router";
+import { redirect } from "react-router";
 import crypto from "crypto";
 import prisma from "../db.server";
+import { CODE_VERIFIER_TTL_MS, commitLoginState, sanitizeReturnTo } from "../code-verifiers.server";
+import { recordCustomerAuthEvent } from "../customer-auth-events.server";
+import { CustomerErrorBoundary } from "../customer-error-boundary";
+import { customerErrorResponse } from "../customer-errors.server";
+import { loginScope } from "../customer-scopes.server";
+import { getCustomerClientConfig, resolveCustomerShop } from "../customer-shops.server";
+import { getOpenIdConfiguration } from "../discovery.server";
+import { enforceRateLimit, enforceShopRateLimit } from "../rate-limit.server";
 
 function generateCodeVerifier() {
   return crypto.randomBytes(32).toString("base64url");
@@ -14,20 +22,24 @@ function generateCodeChallenge(verifier) {
 function generateState() {
   return crypto.randomBytes(16).toString("base64url");
 }
+
+function generateNonce() {
+  return crypto.randomBytes(16).toString("base64url");
+}
 // [END step4-define-pkce-helpers]
 
 export const loader = async ({ request }) => {
-  try {
-    // [START step4-fetch-openid]
-    // Fetch OpenID configuration
-    const openidConfigUrl = `https://${process.env.SHOP_STOREFRONT_DOMAIN}/.well-known/openid-configuration`;
-    const openidResponse = await fetch(openidConfigUrl);
+  // Every login costs a discovery fetch and a database write, so limit how often it can happen
+  await enforceRateLimit(request, "auth");
 
-    if (!openidResponse.ok) {
-      throw new Error(`Failed to fetch OpenID configuration: ${openidResponse.statusText}`);
-    }
+  let shop;
 
-    const openidConfig = await openidResponse.json();
+  try {
+    // [START step4-fetch-openid]
+    // Work out which shop the customer is logging in to, then fetch its OpenID configuration
+    shop = await resolveCustomerShop(request);
+    await enforceShopRateLimit(shop, "auth");
+    const openidConfig = await getOpenIdConfiguration(shop);
     const authorizationEndpoint = openidConfig.authorization_endpoint;
     // [END step4-fetch-openid]
 
@@ -36,62 +48,67 @@ export const loader = async ({ request }) => {
     const codeVerifier = generateCodeVerifier();
     const codeChallenge = generateCodeChallenge(codeVerifier);
     const state = generateState();
+    const nonce = generateNonce();
 
-    // Store code verifier in database
+    // Remember where to send the customer after login, if it's a safe path on this app
+    const url = new URL(request.url);
+    const returnTo = sanitizeReturnTo(url.searchParams.get("return_to"));
+
+    // The shop's configured scopes, plus any extra ones the consent route asked for
+    const scope = loginScope(shop, url.searchParams.get("scope"));
+
+    // Store code verifier and nonce in database until the customer returns or it expires
     await prisma.codeVerifier.create({
       data: {
         state,
+        shop,
         verifier: codeVerifier,
+        nonce,
+        returnTo,
+        scope,
+        expiresAt: new Date(Date.now() + CODE_VERIFIER_TTL_MS),
       },
     });
     // [END step4-generate-and-store]
 
     // [START step4-build-auth-url]
     // Get the callback URL from the request
-    const url = new URL(request.url);
     const callbackUrl = `https://${url.host}/customer-account-api/callback`;
 
-    // Get client_id from environment or config
-    const clientId = process.env.SHOPIFY_API_KEY;
+    // Get client_id from the shop's configuration
+    const { clientId } = getCustomerClientConfig(shop);
 
     // Build authorization URL
     const authUrl = new URL(authorizationEndpoint);
     authUrl.searchParams.set("client_id", clientId);
     authUrl.searchParams.set("response_type", "code");
     authUrl.searchParams.set("redirect_uri", callbackUrl);
-    authUrl.searchParams.set("scope", "openid email customer-account-api:full");
+    authUrl.searchParams.set("scope", scope);
     authUrl.searchParams.set("state", state);
+    authUrl.searchParams.set("nonce", nonce);
     authUrl.searchParams.set("code_challenge", codeChallenge);
     authUrl.searchParams.set("code_challenge_method", "S256");
 
-    // Redirect directly to the authorization URL
-    return redirect(authUrl.toString());
+    await recordCustomerAuthEvent({ type: "auth_start", shop, request });
+
+    // Redirect directly to the authorization URL, remembering which login this browser started
+    return redirect(authUrl.toString(), {
+      headers: {
+        "Set-Cookie": await commitLoginState(state),
+      },
+    });
     // [END step4-build-auth-url]
    
   } catch (error) {
-    console.error("Error generating auth URL:", error);
-    // If there's an error, return error data to display
-    return {
-      error: error.message,
-    };
+    await recordCustomerAuthEvent({ type: "auth_start", outcome: "failure", shop, request, error });
+    throw customerErrorResponse(error, "Error generating auth URL");
   }
 };
 
 export default function CustomerAccountApiAuth() {
-  const data = useLoaderData();
-
-  // Only renders if there's an error (otherwise loader redirects)
-  return (
-    <div style={{ padding: "2rem", fontFamily: "system-ui, sans-serif" }}>
-      <h1>Customer Account API - Authentication Error</h1>
-      <div style={{ marginTop: "1rem", padding: "1rem", backgroundColor: "#ffebee", borderRadius: "8px" }}>
-        <h2>Error</h2>
-        <p style={{ color: "#c62828" }}>{data?.error || "An unexpected error occurred"}</p>
-      </div>
-      <a href="/customer-account-api/auth" style={{ marginTop: "1rem", display: "inline-block" }}>
-        Try again
-      </a>
-    </div>
-  );
+  return null;
 }
 
+export function ErrorBoundary() {
+  return <CustomerErrorBoundary />;
+}
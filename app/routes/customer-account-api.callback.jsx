@@ -1,42 +1,63 @@
 // [START step6-extract-params]
 import { redirect } from "react-router";
-import { useLoaderData } from "react-router";
-import prisma from "../db.server";
-import { setCustomerTokenId } from "../sessions.server";
+import { customerTokenStore } from "../customer-token-store.server";
+import {
+  clearLoginState,
+  consumeCodeVerifier,
+  DEFAULT_RETURN_TO,
+  getCodeVerifierShop,
+} from "../code-verifiers.server";
+import { recordCustomerAuthEvent } from "../customer-auth-events.server";
+import { CustomerErrorBoundary } from "../customer-error-boundary";
+import {
+  customerErrorResponse,
+  InvalidStateError,
+  TokenExchangeError,
+} from "../customer-errors.server";
+import { getCustomerClientConfig } from "../customer-shops.server";
+import { revokeCustomerAccessToken } from "../customer-tokens.server";
+import { getOpenIdConfiguration } from "../discovery.server";
+import { verifyIdToken } from "../id-token.server";
+import { enforceRateLimit, enforceShopRateLimit } from "../rate-limit.server";
+import { getClientIp } from "../request.server";
+import { getCustomerTokenId, setCustomerTokenId } from "../sessions.server";
 
 export const loader = async ({ request }) => {
+  await enforceRateLimit(request, "callback");
+
+  // Known once the state has been matched to a login, so failures can be recorded against the shop
+  let shop;
+
   try {
-    
     const url = new URL(request.url);
     const code = url.searchParams.get("code");
     const state = url.searchParams.get("state");
 
     if (!code || !state) {
-      throw new Error("Missing code or state parameter");
+      throw new InvalidStateError("Missing code or state parameter");
     }
     // [END step6-extract-params]
 
+    // Check the shop's limit before the verifier is used up, so a customer who's
+    // turned away can retry the same login
+    shop = await getCodeVerifierShop(state);
+    if (shop) {
+      await enforceShopRateLimit(shop, "callback");
+    }
+
     // [START step6-retrieve-verifier]
-    // Retrieve the code verifier from the database
-    const codeVerifierRecord = await prisma.codeVerifier.findUnique({
-      where: { state },
-    });
+    // Retrieve and consume the code verifier so the same state can't be used twice,
+    // and only by the browser that started the login
+    const codeVerifierRecord = await consumeCodeVerifier(state, request);
 
     if (!codeVerifierRecord) {
-      throw new Error("Invalid state parameter or code verifier not found");
+      throw new InvalidStateError("Invalid or expired state parameter");
     }
     // [END step6-retrieve-verifier]
 
     // [START step6-fetch-token-endpoint]
     // Fetch OpenID configuration to get token endpoint
-    const openidConfigUrl = `https://${process.env.SHOP_STOREFRONT_DOMAIN}/.well-known/openid-configuration`;
-    const openidResponse = await fetch(openidConfigUrl);
-
-    if (!openidResponse.ok) {
-      throw new Error(`Failed to fetch OpenID configuration: ${openidResponse.statusText}`);
-    }
-
-    const openidConfig = await openidResponse.json();
+    const openidConfig = await getOpenIdConfiguration(codeVerifierRecord.shop);
     const tokenEndpoint = openidConfig.token_endpoint;
     // [END step6-fetch-token-endpoint]
 
@@ -44,8 +65,8 @@ export const loader = async ({ request }) => {
     // Get callback URL
     const callbackUrl = `https://${url.host}/customer-account-api/callback`;
 
-    // Get client_id from environment or config
-    const clientId = process.env.SHOPIFY_API_KEY;
+    // Get client_id from the shop's configuration
+    const { clientId } = getCustomerClientConfig(codeVerifierRecord.shop);
     
     // Exchange authorization code for access token
     const tokenResponse = await fetch(tokenEndpoint, {
@@ -64,11 +85,24 @@ export const loader = async ({ request }) => {
 
     if (!tokenResponse.ok) {
       const errorText = await tokenResponse.text();
-      throw new Error(`Token exchange failed: ${tokenResponse.statusText} - ${errorText}`);
+      throw new TokenExchangeError(
+        `Token exchange failed: ${tokenResponse.status} ${tokenResponse.statusText} - ${errorText}`,
+      );
     }
 
     const tokenData = await tokenResponse.json();
     // [END step6-exchange-token]
+
+    // Verify the ID token so we know which customer this access token belongs to
+    if (!tokenData.id_token) {
+      throw new TokenExchangeError("Token response did not include an ID token");
+    }
+
+    const idTokenClaims = await verifyIdToken(tokenData.id_token, {
+      openidConfig,
+      clientId,
+      nonce: codeVerifierRecord.nonce,
+    });
     
     // [START step6-store-token]
     // Calculate token expiration
@@ -77,53 +111,67 @@ export const loader = async ({ request }) => {
       : null;
     
     // Store the access token in the database
-    const customerAccessToken = await prisma.customerAccessToken.create({
+    const customerAccessToken = await customerTokenStore.create({
       data: {
-        shop: process.env.SHOP_STOREFRONT_DOMAIN,
+        shop: codeVerifierRecord.shop,
         accessToken: tokenData.access_token,
+        refreshToken: tokenData.refresh_token,
+        idToken: tokenData.id_token,
+        customerId: idTokenClaims.sub,
+        email: idTokenClaims.email,
+        userAgent: request.headers.get("User-Agent"),
+        ip: getClientIp(request),
+        // The token endpoint only sends scope when it differs from what was asked for
+        scope: tokenData.scope ?? codeVerifierRecord.scope,
+        lastUsedAt: new Date(),
         expiresAt,
       },
     });
+    // [END step6-store-token]
 
-    // Clean up the used code verifier
-    await prisma.codeVerifier.delete({
-      where: { state },
+    await recordCustomerAuthEvent({
+      type: "callback",
+      shop: codeVerifierRecord.shop,
+      customerId: idTokenClaims.sub ?? null,
+      request,
     });
-    // [END step6-store-token]
+
+    // A customer who was already signed in, e.g. coming back from the consent
+    // route with more scopes, doesn't need the token this one replaces
+    const previousTokenId = await getCustomerTokenId(request);
+    if (previousTokenId && previousTokenId !== customerAccessToken.id) {
+      const previousToken = await customerTokenStore.findUnique({ where: { id: previousTokenId } });
+      if (
+        previousToken?.shop === customerAccessToken.shop &&
+        previousToken.customerId === customerAccessToken.customerId
+      ) {
+        await revokeCustomerAccessToken(previousToken, openidConfig);
+      }
+    }
 
     // [START step6-redirect]
-    // Store tokenId in session cookie and redirect to order list
-    const setCookieHeader = await setCustomerTokenId(request, customerAccessToken.id);
-    return redirect("/customer-account-api/order-list", {
-      headers: {
-        "Set-Cookie": setCookieHeader,
-      },
-    });
+    // Store tokenId in session cookie and redirect to the page that started the login
+    const headers = new Headers();
+    headers.append(
+      "Set-Cookie",
+      await setCustomerTokenId(request, customerAccessToken.id, {
+        tokenExpiresAt: customerAccessToken.refreshToken ? null : customerAccessToken.expiresAt,
+      }),
+    );
+    headers.append("Set-Cookie", await clearLoginState());
+    return redirect(codeVerifierRecord.returnTo ?? DEFAULT_RETURN_TO, { headers });
    
   } catch (error) {
-    console.error("Error in callback:", error);
-    return {
-        success: false,
-        error: error.message,
-    };
+    await recordCustomerAuthEvent({ type: "callback", outcome: "failure", shop, request, error });
+    throw customerErrorResponse(error, "Error in callback");
   }
 };
 
 export default function CustomerAccountApiCallback() {
-  const data = useLoaderData();
-
-  // Only renders if there's an error (otherwise loader redirects)
-  return (
-    <div style={{ padding: "2rem", fontFamily: "system-ui, sans-serif" }}>
-      <h1>Customer Account API - Callback Error</h1>
-      <div style={{ marginTop: "1rem", padding: "1rem", backgroundColor: "#ffebee", borderRadius: "8px" }}>
-        <h2>Authentication Error</h2>
-        <p style={{ color: "#c62828" }}>{data?.error || "An error occurred during authentication"}</p>
-      </div>
-      <a href="/customer-account-api/auth" style={{ marginTop: "1rem", display: "inline-block", color: "#1976d2" }}>
-        Try again
-      </a>
-    </div>
-  );
+  return null;
+}
+
+export function ErrorBoundary() {
+  return <CustomerErrorBoundary />;
 }
 // [END step6-redirect]
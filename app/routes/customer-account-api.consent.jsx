@@ -0,0 +1,44 @@
+import { redirect } from "react-router";
+import { authenticate } from "../customer.server";
+import { DEFAULT_RETURN_TO, sanitizeReturnTo } from "../code-verifiers.server";
+import { CustomerErrorBoundary } from "../customer-error-boundary";
+import { customerErrorResponse } from "../customer-errors.server";
+import { allowedScopes, grantedScopes, loginScope, parseScopes } from "../customer-scopes.server";
+
+// Ask a signed-in customer for scopes their token wasn't granted (incremental
+// consent). The customer goes through login again asking for what they already
+// have plus the new scopes, and the callback swaps their token for the new one.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.customer(request);
+
+  const url = new URL(request.url);
+  const returnTo = sanitizeReturnTo(url.searchParams.get("return_to")) ?? DEFAULT_RETURN_TO;
+
+  try {
+    const granted = grantedScopes(session);
+    const missing = parseScopes(url.searchParams.get("scope")).filter((scope) => !granted.includes(scope));
+
+    if (missing.length === 0) {
+      return redirect(returnTo);
+    }
+
+    // Keep what the customer already granted, unless the shop no longer asks for
+    // it. Unknown scopes fail here, before the customer is sent anywhere.
+    const allowed = allowedScopes(session.shop);
+    const kept = granted.filter((scope) => allowed.includes(scope));
+    const scope = loginScope(session.shop, parseScopes(...kept, ...missing).join(" "));
+
+    const searchParams = new URLSearchParams({ shop: session.shop, scope, return_to: returnTo });
+    return redirect(`/customer-account-api/auth?${searchParams}`);
+  } catch (error) {
+    throw customerErrorResponse(error, "Error requesting customer consent");
+  }
+};
+
+export default function CustomerAccountApiConsent() {
+  return null;
+}
+
+export function ErrorBoundary() {
+  return <CustomerErrorBoundary />;
+}
@@ -0,0 +1,124 @@
+import { Form, Link, redirect, useLoaderData } from "react-router";
+import { authenticate } from "../customer.server";
+import { CustomerErrorBoundary } from "../customer-error-boundary";
+import { customerTokenStore } from "../customer-token-store.server";
+import { listActiveCustomerAccessTokens, revokeCustomerAccessTokens } from "../customer-tokens.server";
+import { destroyCustomerSession } from "../sessions.server";
+import { describeDevice } from "../customer-devices";
+
+export const loader = async ({ request }) => {
+  const { session, customer } = await authenticate.customer(request);
+
+  // Tokens from before identity was recorded can't be matched to a customer
+  const tokens = customer.id
+    ? await listActiveCustomerAccessTokens({ shop: session.shop, customerId: customer.id })
+    : [session];
+
+  return {
+    devices: tokens.map((token) => ({
+      id: token.id,
+      current: token.id === session.id,
+      device: describeDevice(token.userAgent),
+      ip: token.ip,
+      createdAt: token.createdAt.toISOString(),
+      lastUsedAt: token.lastUsedAt?.toISOString() ?? null,
+    })),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session, customer } = await authenticate.customer(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const tokens = customer.id
+    ? await listActiveCustomerAccessTokens({ shop: session.shop, customerId: customer.id })
+    : [];
+  const otherTokens = tokens.filter((token) => token.id !== session.id);
+
+  if (intent === "signOutEverywhereElse") {
+    await revokeCustomerAccessTokens(session.shop, await loadTokens(otherTokens));
+    return { signedOut: otherTokens.length };
+  }
+
+  if (intent === "signOut") {
+    const tokenId = formData.get("tokenId");
+
+    if (tokenId === session.id) {
+      await revokeCustomerAccessTokens(session.shop, [session]);
+      return redirect("/", {
+        headers: { "Set-Cookie": await destroyCustomerSession(request) },
+      });
+    }
+
+    // Only the customer's own tokens can be signed out
+    const token = otherTokens.find(({ id }) => id === tokenId);
+    if (token) {
+      await revokeCustomerAccessTokens(session.shop, await loadTokens([token]));
+    }
+    return { signedOut: token ? 1 : 0 };
+  }
+
+  return { signedOut: 0 };
+};
+
+// Load full token rows, since revoking needs the tokens themselves
+function loadTokens(tokens) {
+  return customerTokenStore.findMany({
+    where: { id: { in: tokens.map(({ id }) => id) } },
+  });
+}
+
+export default function CustomerAccountApiDevices() {
+  const { devices } = useLoaderData();
+  const hasOtherDevices = devices.some((device) => !device.current);
+
+  return (
+    <div style={{ padding: "2rem", fontFamily: "system-ui, sans-serif" }}>
+      <Link to="/customer-account-api/order-list">← Orders</Link>
+      <h1>Signed-in devices</h1>
+
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+            <th>Device</th>
+            <th>Signed in</th>
+            <th>Last active</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {devices.map((device) => (
+            <tr key={device.id} style={{ borderBottom: "1px solid #eee" }}>
+              <td>
+                {device.device}
+                {device.current && <strong> (this device)</strong>}
+                {device.ip && <div style={{ fontSize: "0.875rem", color: "#666" }}>{device.ip}</div>}
+              </td>
+              <td>{new Date(device.createdAt).toLocaleString()}</td>
+              <td>{device.lastUsedAt ? new Date(device.lastUsedAt).toLocaleString() : "N/A"}</td>
+              <td>
+                <Form method="post">
+                  <input type="hidden" name="intent" value="signOut" />
+                  <input type="hidden" name="tokenId" value={device.id} />
+                  <button type="submit">Sign out</button>
+                </Form>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {hasOtherDevices && (
+        <Form method="post" style={{ marginTop: "1rem" }}>
+          <input type="hidden" name="intent" value="signOutEverywhereElse" />
+          <button type="submit">Sign out everywhere else</button>
+        </Form>
+      )}
+    </div>
+  );
+}
+
+export function ErrorBoundary() {
+  return <CustomerErrorBoundary />;
+}
@@ -0,0 +1,62 @@
+import { authenticate } from "../customer.server";
+import { customerErrorResponse } from "../customer-errors.server";
+import { customerAccountApiRequest, isAllowedOperation } from "../customer-graphql.server";
+
+// Forwards GraphQL requests from the browser to the Customer Account API,
+// attaching the customer's access token on the server so it never reaches the client
+export const action = async ({ request }) => {
+  let session;
+  try {
+    ({ session } = await authenticate.customer(request));
+  } catch (error) {
+    if (!(error instanceof Response)) {
+      throw error;
+    }
+    // A fetch from the browser can't follow the login redirect, so report it as unauthenticated
+    if (error.status >= 300 && error.status < 400) {
+      return Response.json(
+        { errors: [{ message: "No customer authentication found. Please authenticate first." }] },
+        { status: 401 },
+      );
+    }
+    return graphqlErrorResponse(error);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return Response.json({ errors: [{ message: "Request body must be JSON" }] }, { status: 400 });
+  }
+
+  const { query, variables, operationName } = body ?? {};
+
+  if (typeof query !== "string") {
+    return Response.json({ errors: [{ message: "Missing query" }] }, { status: 400 });
+  }
+
+  if (!isAllowedOperation({ query, operationName })) {
+    return Response.json({ errors: [{ message: "Operation not allowed" }] }, { status: 403 });
+  }
+
+  try {
+    const response = await customerAccountApiRequest(session, {
+      query,
+      variables,
+      operationName,
+    });
+
+    return new Response(response.body, {
+      status: response.status,
+      headers: { "Content-Type": response.headers.get("Content-Type") ?? "application/json" },
+    });
+  } catch (error) {
+    return graphqlErrorResponse(customerErrorResponse(error, "Error proxying Customer Account API request"));
+  }
+};
+
+// Reshape an error response's safe message into a GraphQL error
+async function graphqlErrorResponse(response) {
+  const { message } = await response.json().catch(() => ({ message: response.statusText }));
+  return Response.json({ errors: [{ message }] }, { status: response.status });
+}
@@ -0,0 +1,54 @@
+import { redirect } from "react-router";
+import { recordCustomerAuthEvent } from "../customer-auth-events.server";
+import { customerTokenStore } from "../customer-token-store.server";
+import { revokeCustomerAccessToken } from "../customer-tokens.server";
+import { getOpenIdConfiguration } from "../discovery.server";
+import { destroyCustomerSession, getCustomerTokenId } from "../sessions.server";
+
+export const action = async ({ request }) => {
+  const url = new URL(request.url);
+  const postLogoutRedirectUri =
+    // eslint-disable-next-line no-undef
+    process.env.CUSTOMER_POST_LOGOUT_REDIRECT_URI || `https://${url.host}/`;
+
+  // Read the token id before the session cookie is destroyed
+  const tokenId = await getCustomerTokenId(request);
+  const setCookieHeader = await destroyCustomerSession(request);
+  const headers = { "Set-Cookie": setCookieHeader };
+
+  const customerAccessToken = tokenId
+    ? await customerTokenStore.findUnique({ where: { id: tokenId } })
+    : null;
+
+  if (!customerAccessToken) {
+    return redirect(postLogoutRedirectUri, { headers });
+  }
+
+  // Fetch OpenID configuration to get the revocation and end session endpoints
+  let openidConfig = null;
+  try {
+    openidConfig = await getOpenIdConfiguration(customerAccessToken.shop);
+  } catch (error) {
+    // Still sign the customer out of this app, even if we can't reach the shop
+    console.error("Error fetching OpenID configuration during logout:", error);
+  }
+
+  await revokeCustomerAccessToken(customerAccessToken, openidConfig);
+  await recordCustomerAuthEvent({
+    type: "logout",
+    shop: customerAccessToken.shop,
+    customerId: customerAccessToken.customerId,
+    request,
+  });
+
+  if (!openidConfig?.end_session_endpoint || !customerAccessToken.idToken) {
+    return redirect(postLogoutRedirectUri, { headers });
+  }
+
+  // Redirect through the shop's end session endpoint so the customer is signed out there too
+  const endSessionUrl = new URL(openidConfig.end_session_endpoint);
+  endSessionUrl.searchParams.set("id_token_hint", customerAccessToken.idToken);
+  endSessionUrl.searchParams.set("post_logout_redirect_uri", postLogoutRedirectUri);
+
+  return redirect(endSessionUrl.toString(), { headers });
+};
@@ -1,224 +1,251 @@
-import { useLoaderData } from "react-router";
-import { useState, useEffect } from "react";
-import prisma from "../db.server";
-import { getCustomerTokenId } from "../sessions.server";
+// @ts-check
+import { Form, Link, useLoaderData } from "react-router";
+import { authenticate } from "../customer.server";
+import { CustomerErrorBoundary } from "../customer-error-boundary";
+import { CustomerApiError, customerErrorResponse } from "../customer-errors.server";
+import { CUSTOMER_ORDERS_QUERY } from "../customer-operations.server";
+import { enforceRateLimit, enforceShopRateLimit } from "../rate-limit.server";
+import {
+  formatDate,
+  formatMoney,
+  formatStatus,
+  fulfillmentSummary,
+  trackingLinks,
+} from "../customer-orders";
+
+const PAGE_SIZE = 10;
+
+const FINANCIAL_STATUSES = [
+  "PENDING",
+  "AUTHORIZED",
+  "PARTIALLY_PAID",
+  "PAID",
+  "PARTIALLY_REFUNDED",
+  "REFUNDED",
+  "VOIDED",
+  "EXPIRED",
+];
+
+const FULFILLMENT_STATUSES = ["UNFULFILLED", "PARTIAL", "FULFILLED"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read the filters from the URL, ignoring anything that isn't a known value so
+// they can be put into the search query safely
+/** @param {URL} url */
+function parseFilters(url) {
+  const from = url.searchParams.get("from");
+  const to = url.searchParams.get("to");
+  const financialStatus = url.searchParams.get("financial_status");
+  const fulfillmentStatus = url.searchParams.get("fulfillment_status");
+
+  return {
+    from: from && DATE_PATTERN.test(from) ? from : "",
+    to: to && DATE_PATTERN.test(to) ? to : "",
+    financialStatus: financialStatus && FINANCIAL_STATUSES.includes(financialStatus) ? financialStatus : "",
+    fulfillmentStatus:
+      fulfillmentStatus && FULFILLMENT_STATUSES.includes(fulfillmentStatus) ? fulfillmentStatus : "",
+  };
+}
+
+/** @param {ReturnType<typeof parseFilters>} filters */
+function buildSearchQuery(filters) {
+  const terms = [];
+  if (filters.from) terms.push(`processed_at:>=${filters.from}`);
+  if (filters.to) terms.push(`processed_at:<=${filters.to}`);
+  if (filters.financialStatus) terms.push(`financial_status:${filters.financialStatus.toLowerCase()}`);
+  if (filters.fulfillmentStatus) terms.push(`fulfillment_status:${filters.fulfillmentStatus.toLowerCase()}`);
+  return terms.length > 0 ? terms.join(" AND ") : null;
+}
 
+/** @param {import("./+types/customer-account-api.order-list").Route.LoaderArgs} args */
 export const loader = async ({ request }) => {
-  try {
-    // [START step7-get-token-id]
-    // Get tokenId from session cookie
-    const tokenId = await getCustomerTokenId(request);
-
-    if (!tokenId) {
-      throw new Error("No customer authentication found. Please authenticate first.");
-    }
-    // [END step7-get-token-id]
-
-    // [START step7-fetch-token]
-    // Fetch the access token from the database
-    const customerAccessToken = await prisma.customerAccessToken.findUnique({
-      where: { id: tokenId },
-    });
-
-    if (!customerAccessToken) {
-      throw new Error("Access token not found");
-    }
-
-    // Check if token is expired
-    if (customerAccessToken.expiresAt && new Date() > customerAccessToken.expiresAt) {
-      throw new Error("Access token has expired");
-    }
-    // [END step7-fetch-token]
-
-    // Get shop domain for client-side API calls
-    const shopDomain = process.env.SHOP_STOREFRONT_DOMAIN;
-
-    // [START step7-fetch-api-config]
-    // Fetch Customer Account API configuration
-    const wellKnownUrl = `https://${shopDomain}/.well-known/customer-account-api`;
-    const wellKnownResponse = await fetch(wellKnownUrl);
-
-    if (!wellKnownResponse.ok) {
-      throw new Error(`Failed to fetch Customer Account API configuration: ${wellKnownResponse.statusText}`);
-    }
-
-    const wellKnownConfig = await wellKnownResponse.json();
-    const graphqlApiUrl = wellKnownConfig.graphql_api;
-    // [END step7-fetch-api-config]
-
-    return {
-      success: true,
-      tokenId: customerAccessToken.id,
-      accessToken: customerAccessToken.accessToken,
-      shop: customerAccessToken.shop,
-      graphqlApiUrl,
-      expiresAt: customerAccessToken.expiresAt?.toISOString(),
-    };
-  } catch (error) {
-    console.error("Error loading access token:", error);
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
-};
+  await enforceRateLimit(request, "orderList");
 
-export default function CustomerAccountApiOrderList() {
-  const data = useLoaderData();
-  const [customerData, setCustomerData] = useState(null);
-  const [customerApiError, setCustomerApiError] = useState(null);
-  const [isLoadingCustomerData, setIsLoadingCustomerData] = useState(false);
+  // [START step7-get-token-id]
+  // [START step7-fetch-token]
+  // Load the customer's access token from the session, refreshing it if it has
+  // expired, or redirect to login if there isn't one
+  const { graphql, shop } = await authenticate.customer(request);
+  // [END step7-fetch-token]
+  // [END step7-get-token-id]
 
-  // [START step7-query-api]
-  // Query Customer Account API on the frontend when access token is available
-  useEffect(() => {
-    if (data.success && data.accessToken) {
-      setIsLoadingCustomerData(true);
-
-      const queryCustomerApi = async () => {
-        try {
-          const response = await fetch(data.graphqlApiUrl, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "Authorization": data.accessToken,
-            },
-            body: JSON.stringify({
-              query: `
-                query {
-                  customer {
-                    id
-                    emailAddress {
-                      emailAddress
-                    }
-                    firstName
-                    lastName
-                    orders(first: 10) {
-                      edges {
-                        node {
-                          id
-                          name
-                        }
-                      }
-                    }
-                  }
-                }
-              `,
-            }),
-          });
-
-          if (response.ok) {
-            const apiResult = await response.json();
-            if (apiResult.data?.customer) {
-              console.log(apiResult.data.customer);
-              setCustomerData(apiResult.data.customer);
-            } else if (apiResult.errors) {
-              setCustomerApiError(JSON.stringify(apiResult.errors, null, 2));
-            }
-          } else {
-            const errorText = await response.text();
-            setCustomerApiError(`API request failed: ${response.status} - ${errorText}`);
-          }
-        } catch (error) {
-          setCustomerApiError(`Failed to query Customer Account API: ${error.message}`);
-          console.error("Customer API query error:", error);
-        } finally {
-          setIsLoadingCustomerData(false);
-        }
-      };
-
-      queryCustomerApi();
-    }
-  }, [data.success, data.accessToken, data.graphqlApiUrl]);
-  // [END step7-query-api]
+  await enforceShopRateLimit(shop, "orderList");
 
-  if (!data.success) {
-    return (
-      <div style={{ padding: "2rem", fontFamily: "system-ui, sans-serif" }}>
-        <h1>Customer Account API - Order List</h1>
-        <div style={{ marginTop: "1rem", padding: "1rem", backgroundColor: "#ffebee", borderRadius: "8px" }}>
-          <h2>Error</h2>
-          <p style={{ color: "#c62828" }}>{data.error}</p>
-        </div>
-        <a href="/customer-account-api/auth" style={{ marginTop: "1rem", display: "inline-block" }}>
-          Authenticate
-        </a>
-      </div>
+  const url = new URL(request.url);
+  const filters = parseFilters(url);
+  const before = url.searchParams.get("before");
+  const after = url.searchParams.get("after");
+
+  // [START step7-query-api]
+  // Query the Customer Account API on the server, so the access token never reaches the browser
+  // [START step7-fetch-api-config]
+  // graphql looks up the API's URL in the shop's Customer Account API configuration
+  const response = await graphql(CUSTOMER_ORDERS_QUERY, {
+    ...(before ? { last: PAGE_SIZE, before } : { first: PAGE_SIZE, after }),
+    query: buildSearchQuery(filters),
+  });
+  // [END step7-fetch-api-config]
+  const result = await response.json().catch(() => null);
+
+  if (!response.ok || !result?.data?.customer) {
+    throw customerErrorResponse(
+      new CustomerApiError(`CustomerOrders query failed: ${response.status}`, { errors: result?.errors }),
+      "Customer Account API query failed",
     );
   }
+  // [END step7-query-api]
+
+  return {
+    filters,
+    customer: result.data.customer,
+  };
+};
+
+export default function CustomerAccountApiOrderList() {
+  const { filters, customer } = /** @type {import("./+types/customer-account-api.order-list").Route.ComponentProps["loaderData"]} */ (
+    useLoaderData()
+  );
+  const orders = customer?.orders.nodes ?? [];
+  const pageInfo = customer?.orders.pageInfo;
+
+  // Keep the filters when moving between pages
+  /** @param {string} cursorParam @param {string | null | undefined} cursor */
+  const pageLink = (cursorParam, cursor) => {
+    const searchParams = new URLSearchParams();
+    if (filters.from) searchParams.set("from", filters.from);
+    if (filters.to) searchParams.set("to", filters.to);
+    if (filters.financialStatus) searchParams.set("financial_status", filters.financialStatus);
+    if (filters.fulfillmentStatus) searchParams.set("fulfillment_status", filters.fulfillmentStatus);
+    searchParams.set(cursorParam, cursor ?? "");
+    return `?${searchParams}`;
+  };
 
   return (
     <div style={{ padding: "2rem", fontFamily: "system-ui, sans-serif" }}>
       <h1>Customer Orders</h1>
 
-      {isLoadingCustomerData && (
-        <div style={{ marginTop: "1rem", padding: "1rem", backgroundColor: "#e3f2fd", borderRadius: "8px" }}>
-          <h3>Loading Orders...</h3>
-          <p style={{ fontSize: "0.875rem", color: "#666" }}>
-            Fetching your order history from the Customer Account API...
+      <Form method="post" action="/customer-account-api/logout">
+        <button type="submit">Sign out</button>
+      </Form>
+
+      {customer && (
+        <div style={{ marginTop: "1rem", padding: "1rem", backgroundColor: "#e8f5e9", borderRadius: "8px" }}>
+          <h3 style={{ marginTop: 0 }}>Customer Information</h3>
+          <p style={{ margin: "0.5rem 0" }}>
+            <strong>Email:</strong> {customer.emailAddress?.emailAddress || "N/A"}
+          </p>
+          <p style={{ margin: "0.5rem 0" }}>
+            <strong>First Name:</strong> {customer.firstName || "N/A"}
           </p>
+          <p style={{ margin: "0.5rem 0" }}>
+            <strong>Last Name:</strong> {customer.lastName || "N/A"}
+          </p>
+          <Link to="/customer-account-api/profile">Edit profile</Link>
+          {" · "}
+          <Link to="/customer-account-api/addresses">Addresses</Link>
+          {" · "}
+          <Link to="/customer-account-api/devices">Signed-in devices</Link>
         </div>
       )}
 
-      {customerData && (
+      <Form method="get" style={{ marginTop: "1rem", display: "flex", gap: "1rem", flexWrap: "wrap", alignItems: "flex-end" }}>
+        <label>
+          From
+          <br />
+          <input type="date" name="from" defaultValue={filters.from} />
+        </label>
+        <label>
+          To
+          <br />
+          <input type="date" name="to" defaultValue={filters.to} />
+        </label>
+        <label>
+          Payment status
+          <br />
+          <select name="financial_status" defaultValue={filters.financialStatus}>
+            <option value="">Any</option>
+            {FINANCIAL_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {formatStatus(status)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Fulfillment status
+          <br />
+          <select name="fulfillment_status" defaultValue={filters.fulfillmentStatus}>
+            <option value="">Any</option>
+            {FULFILLMENT_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {formatStatus(status)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button type="submit">Filter</button>
+      </Form>
+
+      {customer && (orders.length > 0 ? (
         <div style={{ marginTop: "1rem" }}>
-          <div style={{ padding: "1rem", backgroundColor: "#e8f5e9", borderRadius: "8px", marginBottom: "1rem" }}>
-            <h3 style={{ marginTop: 0 }}>Customer Information</h3>
-            <p style={{ margin: "0.5rem 0" }}>
-              <strong>Email:</strong> {customerData.emailAddress?.emailAddress || "N/A"}
-            </p>
-            <p style={{ margin: "0.5rem 0" }}>
-              <strong>First Name:</strong> {customerData.firstName || "N/A"}
-            </p>
-            <p style={{ margin: "0.5rem 0" }}>
-              <strong>Last Name:</strong> {customerData.lastName || "N/A"}
-            </p>
-          </div>
-
-          {customerData.orders?.edges && customerData.orders.edges.length > 0 ? (
-            <div>
-              <h3>Orders ({customerData.orders.edges.length})</h3>
-              <ul style={{ listStyleType: "disc", paddingLeft: "1.5rem" }}>
-                {customerData.orders.edges.map((orderEdge) => {
-                  const order = orderEdge.node;
-                  return (
-                    <li key={order.id} style={{ marginBottom: "0.5rem" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                <th>Order</th>
+                <th>Date</th>
+                <th>Total</th>
+                <th>Items</th>
+                <th>Payment</th>
+                <th>Fulfillment</th>
+                <th>Tracking</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map((order) => (
+                <tr key={order.id} style={{ borderBottom: "1px solid #eee", verticalAlign: "top" }}>
+                  <td>
+                    <Link to={`/customer-account-api/orders/${order.id.split("/").pop()}`}>
                       <strong>{order.name}</strong>
-                    </li>
-                  );
-                })}
-              </ul>
-            </div>
-          ) : (
-            <div style={{ marginTop: "1rem", padding: "1rem", backgroundColor: "#fff9e6", borderRadius: "4px" }}>
-              <em>No orders found for this customer.</em>
-            </div>
-          )}
+                    </Link>
+                  </td>
+                  <td>{formatDate(order.processedAt)}</td>
+                  <td>{formatMoney(order.totalPrice)}</td>
+                  <td>
+                    {order.lineItems.nodes.map((lineItem) => (
+                      <div key={lineItem.id}>
+                        {lineItem.quantity} × {lineItem.title}
+                      </div>
+                    ))}
+                  </td>
+                  <td>{formatStatus(order.financialStatus)}</td>
+                  <td>{fulfillmentSummary(order)}</td>
+                  <td>
+                    {trackingLinks(order.fulfillments)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={{ marginTop: "1rem", display: "flex", gap: "1rem" }}>
+            {pageInfo.hasPreviousPage && (
+              <Link to={pageLink("before", pageInfo.startCursor)}>← Previous page</Link>
+            )}
+            {pageInfo.hasNextPage && (
+              <Link to={pageLink("after", pageInfo.endCursor)}>Next page →</Link>
+            )}
+          </div>
         </div>
-      )}
-
-      {customerApiError && (
-        <div style={{ marginTop: "1rem", padding: "1rem", backgroundColor: "#ffebee", borderRadius: "8px" }}>
-          <h3>❌ Customer Account API Error</h3>
-          <p style={{ fontSize: "0.875rem", color: "#666", marginTop: "0.5rem" }}>
-            Error occurred while querying the Customer Account API:
-          </p>
-          <pre style={{
-            marginTop: "0.5rem",
-            padding: "1rem",
-            backgroundColor: "#fff",
-            border: "1px solid #ef9a9a",
-            borderRadius: "4px",
-            fontSize: "0.75rem",
-            overflow: "auto",
-            whiteSpace: "pre-wrap",
-            wordBreak: "break-word",
-            margin: 0
-          }}>
-            {customerApiError}
-          </pre>
+      ) : (
+        <div style={{ marginTop: "1rem", padding: "1rem", backgroundColor: "#fff9e6", borderRadius: "4px" }}>
+          <em>No orders found for this customer.</em>
         </div>
-      )}
+      ))}
     </div>
   );
 }
+
+export function ErrorBoundary() {
+  return <CustomerErrorBoundary />;
+}
@@ -0,0 +1,117 @@
+// @ts-check
+import { Link, useLoaderData } from "react-router";
+import { authenticate } from "../customer.server";
+import { CustomerErrorBoundary } from "../customer-error-boundary";
+import { CustomerApiError, customerErrorResponse } from "../customer-errors.server";
+import { CUSTOMER_ORDER_QUERY } from "../customer-operations.server";
+import {
+  formatDate,
+  formatMoney,
+  formatStatus,
+  fulfillmentSummary,
+  trackingLinks,
+} from "../customer-orders";
+
+/** @param {import("./+types/customer-account-api.orders.$id").Route.LoaderArgs} args */
+export const loader = async ({ request, params }) => {
+  const { graphql } = await authenticate.customer(request);
+
+  // Order URLs use the numeric part of the order's global ID
+  if (!/^\d+$/.test(params.id)) {
+    throw new Response("Order not found", { status: 404 });
+  }
+
+  const response = await graphql(CUSTOMER_ORDER_QUERY, {
+    id: `gid://shopify/Order/${params.id}`,
+  });
+  const result = await response.json().catch(() => null);
+
+  if (!response.ok || !result?.data || result.errors) {
+    throw customerErrorResponse(
+      new CustomerApiError(`CustomerOrder query failed: ${response.status}`, { errors: result?.errors }),
+      "Customer Account API query failed",
+    );
+  }
+
+  if (!result.data.order) {
+    throw new Response("Order not found", { status: 404 });
+  }
+
+  return { order: result.data.order };
+};
+
+export default function CustomerAccountApiOrder() {
+  const { order } = /** @type {import("./+types/customer-account-api.orders.$id").Route.ComponentProps["loaderData"]} */ (
+    useLoaderData()
+  );
+
+  return (
+    <div style={{ padding: "2rem", fontFamily: "system-ui, sans-serif" }}>
+      <Link to="/customer-account-api/order-list">← All orders</Link>
+
+      {order && (
+        <>
+          <h1>Order {order.name}</h1>
+          <p style={{ margin: "0.5rem 0" }}>
+            <strong>Placed:</strong> {formatDate(order.processedAt)}
+            {order.cancelledAt && <> · <strong>Cancelled:</strong> {formatDate(order.cancelledAt)}</>}
+          </p>
+          <p style={{ margin: "0.5rem 0" }}>
+            <strong>Payment:</strong> {formatStatus(order.financialStatus)}
+          </p>
+          <p style={{ margin: "0.5rem 0" }}>
+            <strong>Fulfillment:</strong> {fulfillmentSummary(order)}{" "}
+            {trackingLinks(order.fulfillments)}
+          </p>
+          {order.statusPageUrl && (
+            <p style={{ margin: "0.5rem 0" }}>
+              <a href={order.statusPageUrl} target="_blank" rel="noreferrer">
+                View order status page
+              </a>
+            </p>
+          )}
+
+          <h3>Items</h3>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <tbody>
+              {order.lineItems.nodes.map((lineItem) => (
+                <tr key={lineItem.id} style={{ borderBottom: "1px solid #eee" }}>
+                  <td>
+                    {lineItem.title}
+                    {lineItem.variantTitle && (
+                      <div style={{ fontSize: "0.875rem", color: "#666" }}>{lineItem.variantTitle}</div>
+                    )}
+                  </td>
+                  <td>× {lineItem.quantity}</td>
+                  <td style={{ textAlign: "right" }}>{formatMoney(lineItem.totalPrice)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={{ marginTop: "1rem", maxWidth: "20rem", marginLeft: "auto" }}>
+            <p style={{ margin: "0.25rem 0" }}>Subtotal: {formatMoney(order.subtotal)}</p>
+            <p style={{ margin: "0.25rem 0" }}>Shipping: {formatMoney(order.totalShipping)}</p>
+            <p style={{ margin: "0.25rem 0" }}>Tax: {formatMoney(order.totalTax)}</p>
+            <p style={{ margin: "0.25rem 0" }}>
+              <strong>Total: {formatMoney(order.totalPrice)}</strong>
+            </p>
+          </div>
+
+          {order.shippingAddress && (
+            <div style={{ marginTop: "1rem" }}>
+              <h3>Shipping address</h3>
+              {order.shippingAddress.formatted.map((line) => (
+                <div key={line}>{line}</div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export function ErrorBoundary() {
+  return <CustomerErrorBoundary />;
+}
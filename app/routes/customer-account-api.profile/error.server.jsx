@@ -0,0 +1,13 @@
+// Map customerUpdate userErrors to the form fields they belong to. The API
+// reports fields as a path, e.g. ["input", "firstName"].
+export function profileErrorMessages(userErrors) {
+  const errors = {};
+
+  for (const userError of userErrors ?? []) {
+    const field = userError.field?.[userError.field.length - 1];
+    const key = ["firstName", "lastName"].includes(field) ? field : "form";
+    errors[key] ??= userError.message;
+  }
+
+  return errors;
+}
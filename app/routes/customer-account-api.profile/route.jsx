@@ -0,0 +1,141 @@
+// @ts-check
+import { Form, Link, useActionData, useLoaderData, useNavigation } from "react-router";
+import { authenticate, requireCustomerScope } from "../../customer.server";
+import { CustomerErrorBoundary } from "../../customer-error-boundary";
+import { CustomerApiError, customerErrorResponse } from "../../customer-errors.server";
+import { CUSTOMER_PROFILE_QUERY, CUSTOMER_UPDATE_MUTATION } from "../../customer-operations.server";
+import { profileErrorMessages } from "./error.server";
+
+const MAX_NAME_LENGTH = 255;
+
+/** @param {{ firstName: string, lastName: string }} input */
+function validateProfile({ firstName, lastName }) {
+  /** @type {{ firstName?: string, lastName?: string }} */
+  const errors = {};
+  if (firstName.length > MAX_NAME_LENGTH) {
+    errors.firstName = `First name must be ${MAX_NAME_LENGTH} characters or fewer`;
+  }
+  if (lastName.length > MAX_NAME_LENGTH) {
+    errors.lastName = `Last name must be ${MAX_NAME_LENGTH} characters or fewer`;
+  }
+  return errors;
+}
+
+/** @param {import("./+types/route").Route.LoaderArgs} args */
+export const loader = async ({ request }) => {
+  const { graphql, session } = await authenticate.customer(request);
+  // Reading and editing the customer needs the full Customer Account API scope
+  requireCustomerScope(request, session, "customer-account-api:full");
+
+  const response = await graphql(CUSTOMER_PROFILE_QUERY);
+  const result = await response.json().catch(() => null);
+
+  if (!response.ok || !result?.data?.customer) {
+    throw customerErrorResponse(
+      new CustomerApiError(`CustomerProfile query failed: ${response.status}`, { errors: result?.errors }),
+      "Customer Account API query failed",
+    );
+  }
+
+  return { customer: result.data.customer };
+};
+
+/** @param {import("./+types/route").Route.ActionArgs} args */
+export const action = async ({ request }) => {
+  const { graphql, session } = await authenticate.customer(request);
+  requireCustomerScope(request, session, "customer-account-api:full");
+
+  const formData = await request.formData();
+  const input = {
+    firstName: String(formData.get("firstName") ?? "").trim(),
+    lastName: String(formData.get("lastName") ?? "").trim(),
+  };
+
+  const validationErrors = validateProfile(input);
+  if (Object.keys(validationErrors).length > 0) {
+    return { errors: validationErrors };
+  }
+
+  const response = await graphql(CUSTOMER_UPDATE_MUTATION, { input });
+  const result = await response.json().catch(() => null);
+
+  if (!response.ok || !result?.data?.customerUpdate) {
+    console.error("Customer Account API mutation failed:", response.status, result?.errors);
+    return { errors: { form: "We couldn't save your profile. Please try again." } };
+  }
+
+  const { userErrors } = result.data.customerUpdate;
+  if (userErrors.length > 0) {
+    return { errors: profileErrorMessages(userErrors) };
+  }
+
+  return { errors: {}, saved: true };
+};
+
+export default function CustomerAccountApiProfile() {
+  const { customer } = /** @type {import("./+types/route").Route.ComponentProps["loaderData"]} */ (
+    useLoaderData()
+  );
+  const actionData = /** @type {import("./+types/route").Route.ComponentProps["actionData"]} */ (
+    useActionData()
+  );
+  const navigation = useNavigation();
+  /** @type {{ firstName?: string, lastName?: string, form?: string }} */
+  const errors = actionData?.errors ?? {};
+  const isSaving = navigation.state === "submitting";
+
+  return (
+    <div style={{ padding: "2rem", fontFamily: "system-ui, sans-serif" }}>
+      <Link to="/customer-account-api/order-list">← Orders</Link>
+      <h1>Your profile</h1>
+
+      {customer && (
+        <Form method="post" style={{ display: "grid", gap: "1rem", maxWidth: "24rem" }}>
+          <p style={{ margin: 0 }}>
+            <strong>Email:</strong> {customer.emailAddress?.emailAddress || "N/A"}
+          </p>
+          {customer.phoneNumber && (
+            <p style={{ margin: 0 }}>
+              <strong>Phone:</strong> {customer.phoneNumber.phoneNumber}
+            </p>
+          )}
+
+          <label>
+            First name
+            <br />
+            <input
+              name="firstName"
+              defaultValue={customer.firstName ?? ""}
+              maxLength={MAX_NAME_LENGTH}
+              aria-invalid={Boolean(errors.firstName)}
+            />
+            {errors.firstName && <div style={{ color: "#c62828" }}>{errors.firstName}</div>}
+          </label>
+
+          <label>
+            Last name
+            <br />
+            <input
+              name="lastName"
+              defaultValue={customer.lastName ?? ""}
+              maxLength={MAX_NAME_LENGTH}
+              aria-invalid={Boolean(errors.lastName)}
+            />
+            {errors.lastName && <div style={{ color: "#c62828" }}>{errors.lastName}</div>}
+          </label>
+
+          {errors.form && <p style={{ color: "#c62828", margin: 0 }}>{errors.form}</p>}
+          {actionData?.saved && <p style={{ color: "#2e7d32", margin: 0 }}>Profile saved.</p>}
+
+          <button type="submit" disabled={isSaving}>
+            {isSaving ? "Saving..." : "Save"}
+          </button>
+        </Form>
+      )}
+    </div>
+  );
+}
+
+export function ErrorBoundary() {
+  return <CustomerErrorBoundary />;
+}
@@ -1,8 +1,10 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { isWebhookRecorded, recordCustomerAuthEvent } from "../customer-auth-events.server";
+import { purgeShopCustomerData } from "../customer-data.server";
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const { shop, session, topic, webhookId } = await authenticate.webhook(request);
 
   console.log(`Received ${topic} webhook for ${shop}`);
 
@@ -12,5 +14,20 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  if (await isWebhookRecorded(webhookId)) {
+    return new Response();
+  }
+
+  try {
+    // Audit events are kept until shop/redact erases them
+    const counts = await purgeShopCustomerData(shop);
+    console.log(`Purged customer auth data for ${shop}:`, counts);
+  } catch (error) {
+    await recordCustomerAuthEvent({ type: "app_uninstalled", outcome: "failure", shop, error });
+    throw error;
+  }
+
+  await recordCustomerAuthEvent({ type: "app_uninstalled", shop, webhookId });
+
   return new Response();
 };
@@ -0,0 +1,30 @@
+import { authenticate } from "../shopify.server";
+import { isWebhookRecorded, recordCustomerAuthEvent } from "../customer-auth-events.server";
+import { storeCustomerDataExport } from "../customer-data.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic, payload, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (await isWebhookRecorded(webhookId)) {
+    return new Response();
+  }
+
+  const customerId = String(payload.customer.id);
+
+  try {
+    // Stored for the merchant to download from the dashboard and pass on to the
+    // customer. The data itself stays out of the logs, which redaction can't reach.
+    const dataRequestId = payload.data_request?.id ?? null;
+    const { counts } = await storeCustomerDataExport(shop, payload.customer, dataRequestId);
+    console.log(`Stored customer data for request ${dataRequestId ?? "unknown"} on ${shop}:`, counts);
+  } catch (error) {
+    await recordCustomerAuthEvent({ type: "customer_data_request", outcome: "failure", shop, customerId, error });
+    throw error;
+  }
+
+  await recordCustomerAuthEvent({ type: "customer_data_request", shop, customerId, webhookId });
+
+  return new Response();
+};
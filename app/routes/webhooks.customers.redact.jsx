@@ -0,0 +1,28 @@
+import { authenticate } from "../shopify.server";
+import { isWebhookRecorded, recordCustomerAuthEvent } from "../customer-auth-events.server";
+import { redactCustomerData } from "../customer-data.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic, payload, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (await isWebhookRecorded(webhookId)) {
+    return new Response();
+  }
+
+  const customerId = String(payload.customer.id);
+
+  try {
+    const counts = await redactCustomerData(shop, payload.customer);
+    console.log(`Redacted customer ${customerId} for ${shop}:`, counts);
+  } catch (error) {
+    await recordCustomerAuthEvent({ type: "customer_redact", outcome: "failure", shop, customerId, error });
+    throw error;
+  }
+
+  // Recorded after the redaction, so this is the only event left for the customer
+  await recordCustomerAuthEvent({ type: "customer_redact", shop, customerId, webhookId });
+
+  return new Response();
+};
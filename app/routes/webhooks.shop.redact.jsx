@@ -0,0 +1,26 @@
+import { authenticate } from "../shopify.server";
+import { isWebhookRecorded, recordCustomerAuthEvent } from "../customer-auth-events.server";
+import { purgeShopCustomerData } from "../customer-data.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (await isWebhookRecorded(webhookId)) {
+    return new Response();
+  }
+
+  try {
+    const counts = await purgeShopCustomerData(shop, { includeAuditEvents: true });
+    console.log(`Erased customer auth data for ${shop}:`, counts);
+  } catch (error) {
+    await recordCustomerAuthEvent({ type: "shop_redact", outcome: "failure", shop, error });
+    throw error;
+  }
+
+  // Recorded after the purge, so this is the only event left for the shop
+  await recordCustomerAuthEvent({ type: "shop_redact", shop, webhookId });
+
+  return new Response();
+};
@@ -1,42 +1,136 @@
 // [START step5-session-storage]
-import { createCookieSessionStorage } from "react-router";
+import { createCookie, createCookieSessionStorage } from "react-router";
+import { createDatabaseSessionStorage } from "./customer-sessions.server";
+import { getClientIp } from "./request.server";
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Sessions are renewed while customers are active, so they stay signed in and
+// are signed out after this long without a visit
+const IDLE_TIMEOUT_SECONDS = Number(process.env.CUSTOMER_SESSION_IDLE_DAYS ?? 7) * DAY_SECONDS;
+
+// Only renew a session this often, so busy customers don't write on every request
+const RENEW_INTERVAL_MS = 5 * 60 * 1000;
+
+// No session outlives this, however active the customer is. It matches how
+// long a refresh token can keep a customer access token alive; sessions for
+// tokens that can't be refreshed end when the token expires.
+export const CUSTOMER_SESSION_MAX_AGE_SECONDS =
+  Number(process.env.CUSTOMER_SESSION_MAX_DAYS ?? 30) * DAY_SECONDS;
+
+// SESSION_SECRET may hold several comma-separated secrets. The first signs new
+// cookies and the rest are still accepted, so secrets can be rotated without
+// signing everyone out.
+const DEFAULT_SECRET = "default-secret-change-in-production";
+const secrets = process.env.SESSION_SECRET?.split(",").map((secret) => secret.trim()).filter(Boolean) ?? [];
+
+if (process.env.NODE_ENV === "production" && (secrets.length === 0 || secrets.includes(DEFAULT_SECRET))) {
+  throw new Error("SESSION_SECRET must be set to a secret of your own in production");
+}
+if (secrets.length === 0) {
+  secrets.push(DEFAULT_SECRET);
+}
+
+const cookieDefaults = {
+  httpOnly: true,
+  sameSite: "lax",
+  secrets,
+  secure: process.env.NODE_ENV === "production",
+};
+
+const cookie = {
+  ...cookieDefaults,
+  name: "__customer_session",
+  path: "/",
+  maxAge: IDLE_TIMEOUT_SECONDS,
+};
+
+// A signed, HTTP-only cookie for the customer login flow, using the session secrets
+export function createCustomerCookie(name, options) {
+  return createCookie(name, { ...cookieDefaults, ...options });
+}
 
 // Customer session storage for Customer Account API authentication
-// Stores customer access token ID in an encrypted, HTTP-only cookie
-export const customerSessionStorage = createCookieSessionStorage({
-  cookie: {
-    name: "__customer_session",
-    httpOnly: true,
-    path: "/",
-    sameSite: "lax",
-    secrets: [process.env.SESSION_SECRET || "default-secret-change-in-production"],
-    secure: process.env.NODE_ENV === "production",
-    maxAge: 60 * 60, // 1 hour (3600 seconds)
-  },
-});
+// By default stores customer access token ID in an encrypted, HTTP-only cookie.
+// With CUSTOMER_SESSION_STORAGE=database the cookie only holds a session id and
+// the session lives in the CustomerSession table, where it can be revoked.
+export const customerSessionStorage =
+  process.env.CUSTOMER_SESSION_STORAGE === "database"
+    ? createDatabaseSessionStorage(cookie)
+    : createCookieSessionStorage({ cookie });
+
+function getSession(request) {
+  return customerSessionStorage.getSession(request.headers.get("Cookie"));
+}
+
+// Cookie lifetime for a session: the idle timeout, cut short by its absolute expiry
+function sessionMaxAge(session) {
+  const remainingSeconds = Math.floor((session.get("absoluteExpiresAt") - Date.now()) / 1000);
+  return Math.max(0, Math.min(IDLE_TIMEOUT_SECONDS, remainingSeconds));
+}
+
+function isSessionExpired(session) {
+  const absoluteExpiresAt = session.get("absoluteExpiresAt");
+  return !absoluteExpiresAt || absoluteExpiresAt <= Date.now();
+}
 
 // Get customer token ID from session
 export async function getCustomerTokenId(request) {
-  const session = await customerSessionStorage.getSession(
-    request.headers.get("Cookie")
-  );
+  const session = await getSession(request);
+  if (isSessionExpired(session)) {
+    return undefined;
+  }
   return session.get("customerTokenId");
 }
 
-// Set customer token ID in session
-export async function setCustomerTokenId(request, tokenId) {
-  const session = await customerSessionStorage.getSession(
-    request.headers.get("Cookie")
-  );
+// Set customer token ID in a new session, starting a new absolute lifetime.
+// Pass tokenExpiresAt for a token that can't be refreshed, so the session ends
+// when the token does.
+export async function setCustomerTokenId(request, tokenId, { tokenExpiresAt } = {}) {
+  // Start a fresh session on login rather than reusing whatever the browser sent
+  const previousSession = await getSession(request);
+  if (previousSession.id) {
+    await customerSessionStorage.destroySession(previousSession);
+  }
+
+  const session = await customerSessionStorage.getSession();
   session.set("customerTokenId", tokenId);
-  return customerSessionStorage.commitSession(session);
+  session.set("userAgent", request.headers.get("User-Agent"));
+  session.set("ip", getClientIp(request));
+  session.set(
+    "absoluteExpiresAt",
+    Math.min(Date.now() + CUSTOMER_SESSION_MAX_AGE_SECONDS * 1000, tokenExpiresAt?.getTime() ?? Infinity),
+  );
+  session.set("renewedAt", Date.now());
+  return customerSessionStorage.commitSession(session, {
+    maxAge: sessionMaxAge(session),
+  });
+}
+
+// Extend the session cookie after activity. Returns the Set-Cookie header to
+// send, or null when the request has no customer session or it was renewed
+// only a few minutes ago.
+export async function renewCustomerSession(request) {
+  const session = await getSession(request);
+  if (!session.has("customerTokenId")) {
+    return null;
+  }
+  if (isSessionExpired(session)) {
+    return customerSessionStorage.destroySession(session);
+  }
+  if (Date.now() - (session.get("renewedAt") ?? 0) < RENEW_INTERVAL_MS) {
+    return null;
+  }
+
+  session.set("renewedAt", Date.now());
+  return customerSessionStorage.commitSession(session, {
+    maxAge: sessionMaxAge(session),
+  });
 }
 
 // Destroy customer session
 export async function destroyCustomerSession(request) {
-  const session = await customerSessionStorage.getSession(
-    request.headers.get("Cookie")
-  );
+  const session = await getSession(request);
   return customerSessionStorage.destroySession(session);
 }
 // [END step5-session-storage]
@@ -0,0 +1,34 @@
+// Types for the Customer Account API client returned by authenticate.customer.
+// `npm run graphql-codegen -- --project customer` extends CustomerQueries and
+// CustomerMutations with every operation in app/customer-operations.server.js
+// (see customer.generated.d.ts), checked against the schema committed in
+// customer-2025-10.schema.json. The client only accepts those operations, so a
+// query that's missing from codegen or no longer matches the schema fails the
+// typecheck in TypeScript files and in JavaScript files with `// @ts-check`.
+
+// eslint-disable-next-line @typescript-eslint/no-empty-interface
+export interface CustomerQueries {}
+
+// eslint-disable-next-line @typescript-eslint/no-empty-interface
+export interface CustomerMutations {}
+
+export type CustomerOperations = CustomerQueries & CustomerMutations;
+
+export interface CustomerGraphQLResponseBody<TData> {
+  data?: TData;
+  errors?: Array<{
+    message: string;
+    path?: Array<string | number>;
+    extensions?: Record<string, unknown>;
+  }>;
+  extensions?: Record<string, unknown>;
+}
+
+export type CustomerGraphQLResponse<TData> = Omit<Response, "json"> & {
+  json: () => Promise<CustomerGraphQLResponseBody<TData>>;
+};
+
+export type CustomerGraphQLClient = <Operation extends keyof CustomerOperations>(
+  query: Operation,
+  variables?: CustomerOperations[Operation]["variables"],
+) => Promise<CustomerGraphQLResponse<CustomerOperations[Operation]["return"]>>;
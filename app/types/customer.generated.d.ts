@@ -0,0 +1,109 @@
+/* eslint-disable eslint-comments/disable-enable-pair */
+/* eslint-disable eslint-comments/no-unlimited-disable */
+/* eslint-disable */
+import type * as CustomerTypes from './customer.types';
+
+export type CustomerOrdersQueryVariables = CustomerTypes.Exact<{
+  first?: CustomerTypes.InputMaybe<CustomerTypes.Scalars['Int']['input']>;
+  last?: CustomerTypes.InputMaybe<CustomerTypes.Scalars['Int']['input']>;
+  after?: CustomerTypes.InputMaybe<CustomerTypes.Scalars['String']['input']>;
+  before?: CustomerTypes.InputMaybe<CustomerTypes.Scalars['String']['input']>;
+  query?: CustomerTypes.InputMaybe<CustomerTypes.Scalars['String']['input']>;
+}>;
+
+
+export type CustomerOrdersQuery = { customer: (
+    Pick<CustomerTypes.Customer, 'id' | 'firstName' | 'lastName'>
+    & { emailAddress?: CustomerTypes.Maybe<Pick<CustomerTypes.CustomerEmailAddress, 'emailAddress'>>, orders: { nodes: Array<(
+        Pick<CustomerTypes.Order, 'id' | 'name' | 'processedAt' | 'financialStatus'>
+        & { totalPrice: Pick<CustomerTypes.MoneyV2, 'amount' | 'currencyCode'>, lineItems: { nodes: Array<Pick<CustomerTypes.LineItem, 'id' | 'title' | 'quantity'>> }, fulfillments: { nodes: Array<(
+            Pick<CustomerTypes.Fulfillment, 'id' | 'status' | 'latestShipmentStatus'>
+            & { trackingInformation: Array<Pick<CustomerTypes.TrackingInformation, 'company' | 'number' | 'url'>> }
+          )> } }
+      )>, pageInfo: Pick<CustomerTypes.PageInfo, 'hasNextPage' | 'hasPreviousPage' | 'startCursor' | 'endCursor'> } }
+  ) };
+
+export type CustomerOrderQueryVariables = CustomerTypes.Exact<{
+  id: CustomerTypes.Scalars['ID']['input'];
+}>;
+
+
+export type CustomerOrderQuery = { order?: CustomerTypes.Maybe<(
+    Pick<CustomerTypes.Order, 'id' | 'name' | 'processedAt' | 'cancelledAt' | 'financialStatus' | 'statusPageUrl'>
+    & { subtotal?: CustomerTypes.Maybe<Pick<CustomerTypes.MoneyV2, 'amount' | 'currencyCode'>>, totalShipping: Pick<CustomerTypes.MoneyV2, 'amount' | 'currencyCode'>, totalTax?: CustomerTypes.Maybe<Pick<CustomerTypes.MoneyV2, 'amount' | 'currencyCode'>>, totalPrice: Pick<CustomerTypes.MoneyV2, 'amount' | 'currencyCode'>, shippingAddress?: CustomerTypes.Maybe<Pick<CustomerTypes.CustomerAddress, 'formatted'>>, lineItems: { nodes: Array<(
+        Pick<CustomerTypes.LineItem, 'id' | 'title' | 'variantTitle' | 'quantity'>
+        & { totalPrice?: CustomerTypes.Maybe<Pick<CustomerTypes.MoneyV2, 'amount' | 'currencyCode'>> }
+      )> }, fulfillments: { nodes: Array<(
+        Pick<CustomerTypes.Fulfillment, 'id' | 'status' | 'latestShipmentStatus' | 'createdAt'>
+        & { trackingInformation: Array<Pick<CustomerTypes.TrackingInformation, 'company' | 'number' | 'url'>> }
+      )> } }
+  )> };
+
+export type CustomerProfileQueryVariables = CustomerTypes.Exact<{ [key: string]: never; }>;
+
+
+export type CustomerProfileQuery = { customer: (
+    Pick<CustomerTypes.Customer, 'id' | 'firstName' | 'lastName'>
+    & { emailAddress?: CustomerTypes.Maybe<Pick<CustomerTypes.CustomerEmailAddress, 'emailAddress'>>, phoneNumber?: CustomerTypes.Maybe<Pick<CustomerTypes.CustomerPhoneNumber, 'phoneNumber'>> }
+  ) };
+
+export type CustomerUpdateMutationVariables = CustomerTypes.Exact<{
+  input: CustomerTypes.CustomerUpdateInput;
+}>;
+
+
+export type CustomerUpdateMutation = { customerUpdate?: CustomerTypes.Maybe<{ customer?: CustomerTypes.Maybe<Pick<CustomerTypes.Customer, 'id' | 'firstName' | 'lastName'>>, userErrors: Array<Pick<CustomerTypes.UserErrorsCustomerUserErrors, 'field' | 'message' | 'code'>> }> };
+
+export type CustomerAddressesQueryVariables = CustomerTypes.Exact<{ [key: string]: never; }>;
+
+
+export type CustomerAddressesQuery = { customer: (
+    Pick<CustomerTypes.Customer, 'id'>
+    & { defaultAddress?: CustomerTypes.Maybe<Pick<CustomerTypes.CustomerAddress, 'id'>>, addresses: { nodes: Array<Pick<CustomerTypes.CustomerAddress, 'id' | 'firstName' | 'lastName' | 'company' | 'address1' | 'address2' | 'city' | 'zoneCode' | 'territoryCode' | 'zip' | 'phoneNumber' | 'formatted'>> } }
+  ) };
+
+export type CustomerAddressCreateMutationVariables = CustomerTypes.Exact<{
+  address: CustomerTypes.CustomerAddressInput;
+  defaultAddress?: CustomerTypes.InputMaybe<CustomerTypes.Scalars['Boolean']['input']>;
+}>;
+
+
+export type CustomerAddressCreateMutation = { customerAddressCreate?: CustomerTypes.Maybe<{ customerAddress?: CustomerTypes.Maybe<Pick<CustomerTypes.CustomerAddress, 'id'>>, userErrors: Array<Pick<CustomerTypes.UserErrorsCustomerAddressUserErrors, 'field' | 'message' | 'code'>> }> };
+
+export type CustomerAddressUpdateMutationVariables = CustomerTypes.Exact<{
+  addressId: CustomerTypes.Scalars['ID']['input'];
+  address?: CustomerTypes.InputMaybe<CustomerTypes.CustomerAddressInput>;
+  defaultAddress?: CustomerTypes.InputMaybe<CustomerTypes.Scalars['Boolean']['input']>;
+}>;
+
+
+export type CustomerAddressUpdateMutation = { customerAddressUpdate?: CustomerTypes.Maybe<{ customerAddress?: CustomerTypes.Maybe<Pick<CustomerTypes.CustomerAddress, 'id'>>, userErrors: Array<Pick<CustomerTypes.UserErrorsCustomerAddressUserErrors, 'field' | 'message' | 'code'>> }> };
+
+export type CustomerAddressDeleteMutationVariables = CustomerTypes.Exact<{
+  addressId: CustomerTypes.Scalars['ID']['input'];
+}>;
+
+
+export type CustomerAddressDeleteMutation = { customerAddressDelete?: CustomerTypes.Maybe<(
+    Pick<CustomerTypes.CustomerAddressDeletePayload, 'deletedAddressId'>
+    & { userErrors: Array<Pick<CustomerTypes.UserErrorsCustomerAddressUserErrors, 'field' | 'message' | 'code'>> }
+  )> };
+
+interface GeneratedQueryTypes {
+  "#graphql\n  query CustomerOrders($first: Int, $last: Int, $after: String, $before: String, $query: String) {\n    customer {\n      id\n      emailAddress {\n        emailAddress\n      }\n      firstName\n      lastName\n      orders(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: PROCESSED_AT, reverse: true) {\n        nodes {\n          id\n          name\n          processedAt\n          financialStatus\n          totalPrice {\n            amount\n            currencyCode\n          }\n          lineItems(first: 5) {\n            nodes {\n              id\n              title\n              quantity\n            }\n          }\n          fulfillments(first: 5) {\n            nodes {\n              id\n              status\n              latestShipmentStatus\n              trackingInformation {\n                company\n                number\n                url\n              }\n            }\n          }\n        }\n        pageInfo {\n          hasNextPage\n          hasPreviousPage\n          startCursor\n          endCursor\n        }\n      }\n    }\n  }": {return: CustomerOrdersQuery, variables: CustomerOrdersQueryVariables},
+  "#graphql\n  query CustomerOrder($id: ID!) {\n    order(id: $id) {\n      id\n      name\n      processedAt\n      cancelledAt\n      financialStatus\n      statusPageUrl\n      subtotal {\n        amount\n        currencyCode\n      }\n      totalShipping {\n        amount\n        currencyCode\n      }\n      totalTax {\n        amount\n        currencyCode\n      }\n      totalPrice {\n        amount\n        currencyCode\n      }\n      shippingAddress {\n        formatted\n      }\n      lineItems(first: 50) {\n        nodes {\n          id\n          title\n          variantTitle\n          quantity\n          totalPrice {\n            amount\n            currencyCode\n          }\n        }\n      }\n      fulfillments(first: 10) {\n        nodes {\n          id\n          status\n          latestShipmentStatus\n          createdAt\n          trackingInformation {\n            company\n            number\n            url\n          }\n        }\n      }\n    }\n  }": {return: CustomerOrderQuery, variables: CustomerOrderQueryVariables},
+  "#graphql\n  query CustomerProfile {\n    customer {\n      id\n      firstName\n      lastName\n      emailAddress {\n        emailAddress\n      }\n      phoneNumber {\n        phoneNumber\n      }\n    }\n  }": {return: CustomerProfileQuery, variables: CustomerProfileQueryVariables},
+  "#graphql\n  query CustomerAddresses {\n    customer {\n      id\n      defaultAddress {\n        id\n      }\n      addresses(first: 50) {\n        nodes {\n          id\n          firstName\n          lastName\n          company\n          address1\n          address2\n          city\n          zoneCode\n          territoryCode\n          zip\n          phoneNumber\n          formatted\n        }\n      }\n    }\n  }": {return: CustomerAddressesQuery, variables: CustomerAddressesQueryVariables},
+}
+
+interface GeneratedMutationTypes {
+  "#graphql\n  mutation CustomerUpdate($input: CustomerUpdateInput!) {\n    customerUpdate(input: $input) {\n      customer {\n        id\n        firstName\n        lastName\n      }\n      userErrors {\n        field\n        message\n        code\n      }\n    }\n  }": {return: CustomerUpdateMutation, variables: CustomerUpdateMutationVariables},
+  "#graphql\n  mutation CustomerAddressCreate($address: CustomerAddressInput!, $defaultAddress: Boolean) {\n    customerAddressCreate(address: $address, defaultAddress: $defaultAddress) {\n      customerAddress {\n        id\n      }\n      userErrors {\n        field\n        message\n        code\n      }\n    }\n  }": {return: CustomerAddressCreateMutation, variables: CustomerAddressCreateMutationVariables},
+  "#graphql\n  mutation CustomerAddressUpdate($addressId: ID!, $address: CustomerAddressInput, $defaultAddress: Boolean) {\n    customerAddressUpdate(addressId: $addressId, address: $address, defaultAddress: $defaultAddress) {\n      customerAddress {\n        id\n      }\n      userErrors {\n        field\n        message\n        code\n      }\n    }\n  }": {return: CustomerAddressUpdateMutation, variables: CustomerAddressUpdateMutationVariables},
+  "#graphql\n  mutation CustomerAddressDelete($addressId: ID!) {\n    customerAddressDelete(addressId: $addressId) {\n      deletedAddressId\n      userErrors {\n        field\n        message\n        code\n      }\n    }\n  }": {return: CustomerAddressDeleteMutation, variables: CustomerAddressDeleteMutationVariables},
+}
+declare module './customer-api' {
+  type InputMaybe<T> = CustomerTypes.InputMaybe<T>;
+  interface CustomerQueries extends GeneratedQueryTypes {}
+  interface CustomerMutations extends GeneratedMutationTypes {}
+}
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CustomerAccessToken" ADD COLUMN "refreshToken" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CustomerAccessToken" ADD COLUMN "idToken" TEXT;
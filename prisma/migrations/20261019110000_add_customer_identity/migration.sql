@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "CustomerAccessToken" ADD COLUMN "customerId" TEXT;
+ALTER TABLE "CustomerAccessToken" ADD COLUMN "email" TEXT;
+
+-- CreateIndex
+CREATE INDEX "CustomerAccessToken_shop_customerId_idx" ON "CustomerAccessToken"("shop", "customerId");
@@ -0,0 +1,24 @@
+/*
+  Warnings:
+
+  - Added the required columns `nonce` and `expiresAt` to the `CodeVerifier` table without a default value.
+    Pending authorization requests can't be completed without them, so existing rows are discarded.
+
+*/
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_CodeVerifier" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "state" TEXT NOT NULL,
+    "verifier" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+DROP TABLE "CodeVerifier";
+ALTER TABLE "new_CodeVerifier" RENAME TO "CodeVerifier";
+CREATE UNIQUE INDEX "CodeVerifier_state_key" ON "CodeVerifier"("state");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
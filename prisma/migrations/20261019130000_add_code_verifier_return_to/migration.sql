@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CodeVerifier" ADD COLUMN "returnTo" TEXT;
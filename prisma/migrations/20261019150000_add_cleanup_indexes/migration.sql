@@ -0,0 +1,8 @@
+-- CreateIndex
+CREATE INDEX "CodeVerifier_expiresAt_idx" ON "CodeVerifier"("expiresAt");
+
+-- CreateIndex
+CREATE INDEX "CustomerAccessToken_expiresAt_idx" ON "CustomerAccessToken"("expiresAt");
+
+-- CreateIndex
+CREATE INDEX "CustomerAccessToken_updatedAt_idx" ON "CustomerAccessToken"("updatedAt");
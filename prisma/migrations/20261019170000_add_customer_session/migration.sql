@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "CustomerSession" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "tokenId" TEXT,
+    "shop" TEXT,
+    "customerId" TEXT,
+    "data" TEXT NOT NULL,
+    "userAgent" TEXT,
+    "ip" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerSession_tokenId_idx" ON "CustomerSession"("tokenId");
+
+-- CreateIndex
+CREATE INDEX "CustomerSession_shop_customerId_idx" ON "CustomerSession"("shop", "customerId");
+
+-- CreateIndex
+CREATE INDEX "CustomerSession_expiresAt_idx" ON "CustomerSession"("expiresAt");
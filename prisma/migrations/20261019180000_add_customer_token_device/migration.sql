@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "CustomerAccessToken" ADD COLUMN "userAgent" TEXT;
+ALTER TABLE "CustomerAccessToken" ADD COLUMN "ip" TEXT;
+ALTER TABLE "CustomerAccessToken" ADD COLUMN "lastUsedAt" DATETIME;
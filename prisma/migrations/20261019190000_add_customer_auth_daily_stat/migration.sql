@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "CustomerAuthDailyStat" (
+    "shop" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "logins" INTEGER NOT NULL DEFAULT 0,
+    "failedCallbacks" INTEGER NOT NULL DEFAULT 0,
+    "tokenExpiries" INTEGER NOT NULL DEFAULT 0,
+
+    PRIMARY KEY ("shop", "date")
+);
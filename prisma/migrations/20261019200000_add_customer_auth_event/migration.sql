@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "CustomerAuthEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "type" TEXT NOT NULL,
+    "outcome" TEXT NOT NULL,
+    "shop" TEXT,
+    "customerId" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "errorCode" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerAuthEvent_shop_createdAt_idx" ON "CustomerAuthEvent"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CustomerAuthEvent_shop_customerId_createdAt_idx" ON "CustomerAuthEvent"("shop", "customerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CustomerAuthEvent_createdAt_idx" ON "CustomerAuthEvent"("createdAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "CustomerAuthEvent" ADD COLUMN "webhookId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerAuthEvent_webhookId_key" ON "CustomerAuthEvent"("webhookId");
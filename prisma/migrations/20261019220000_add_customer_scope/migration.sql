@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "CodeVerifier" ADD COLUMN "scope" TEXT;
+
+-- AlterTable
+ALTER TABLE "CustomerAccessToken" ADD COLUMN "scope" TEXT;
@@ -0,0 +1,11 @@
+// Remove stale code verifiers, unusable customer tokens and expired or orphaned
+// customer sessions.
+// Suitable for cron, with CUSTOMER_CLEANUP_INTERVAL_MINUTES=0 on the server.
+import prisma from "../app/db.server";
+import { sweepCustomerAuthData } from "../app/cleanup.server";
+
+try {
+  await sweepCustomerAuthData();
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,295 @@
+// A local stand-in for a shop's customer accounts, so the customer login flow
+// can be run without a live shop. Start it with `npm run mock:openid` and run
+// the app with CUSTOMER_ACCOUNT_DISCOVERY_ORIGIN=http://localhost:4001.
+//
+// Every authorization request is approved straight away as the customer below,
+// with every scope it asks for.
+// The token endpoint checks PKCE, ID tokens are signed with a key generated at
+// startup, and the GraphQL endpoint answers the app's order and profile queries.
+//
+// POST /__mock/outage?enabled=1 makes the discovery documents fail,
+// POST /__mock/token-outage?enabled=1 does the same for the token endpoint, and
+// POST /__mock/expire-tokens expires every access token issued so far.
+import crypto from "crypto";
+import http from "http";
+
+const PORT = Number(process.env.MOCK_OPENID_PORT ?? 4001);
+const ORIGIN = process.env.MOCK_OPENID_ORIGIN ?? `http://localhost:${PORT}`;
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.MOCK_OPENID_TOKEN_TTL_SECONDS ?? 3600);
+
+const CUSTOMER = {
+  id: "gid://shopify/Customer/1000",
+  firstName: "Ada",
+  lastName: "Lovelace",
+  emailAddress: { emailAddress: "ada@example.com" },
+  phoneNumber: null,
+};
+
+const ORDER = {
+  id: "gid://shopify/Order/2000",
+  name: "#1001",
+  processedAt: "2026-01-15T10:00:00Z",
+  cancelledAt: null,
+  financialStatus: "PAID",
+  statusPageUrl: `${ORIGIN}/orders/2000`,
+  subtotal: { amount: "40.00", currencyCode: "USD" },
+  totalShipping: { amount: "5.00", currencyCode: "USD" },
+  totalTax: { amount: "3.60", currencyCode: "USD" },
+  totalPrice: { amount: "48.60", currencyCode: "USD" },
+  shippingAddress: { formatted: ["Ada Lovelace", "12 St James's Square", "London", "United Kingdom"] },
+  lineItems: {
+    nodes: [
+      {
+        id: "gid://shopify/LineItem/3000",
+        title: "Analytical Engine Poster",
+        variantTitle: "A2",
+        quantity: 2,
+        totalPrice: { amount: "40.00", currencyCode: "USD" },
+      },
+    ],
+  },
+  fulfillments: {
+    nodes: [
+      {
+        id: "gid://shopify/Fulfillment/4000",
+        status: "SUCCESS",
+        latestShipmentStatus: "IN_TRANSIT",
+        createdAt: "2026-01-16T09:00:00Z",
+        trackingInformation: [
+          { company: "Royal Mail", number: "RM123456789GB", url: "https://example.com/track/RM123456789GB" },
+        ],
+      },
+    ],
+  },
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+
+// Issued codes and tokens, kept in memory for the life of the process
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+const refreshTokens = new Map();
+let discoveryOutage = false;
+let tokenOutage = false;
+
+function randomToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function signIdToken(claims) {
+  const header = Buffer.from(JSON.stringify({ alg: "RS256", typ: "JWT", kid: KEY_ID })).toString("base64url");
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${payload}`), privateKey).toString("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+function issueTokens({ clientId, nonce, scope }) {
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = `mock_at_${randomToken()}`;
+  const refreshToken = `mock_rt_${randomToken()}`;
+
+  accessTokens.set(accessToken, { clientId, expiresAt: Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000 });
+  refreshTokens.set(refreshToken, { clientId, scope });
+
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: "Bearer",
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    scope,
+    id_token: signIdToken({
+      iss: ORIGIN,
+      aud: clientId,
+      sub: CUSTOMER.id,
+      email: CUSTOMER.emailAddress.emailAddress,
+      iat: now,
+      exp: now + ACCESS_TOKEN_TTL_SECONDS,
+      ...(nonce ? { nonce } : {}),
+    }),
+  };
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function authorize(res, params) {
+  const redirectUri = params.get("redirect_uri");
+  const state = params.get("state");
+
+  if (!redirectUri || !params.get("client_id")) {
+    return sendJson(res, 400, { error: "invalid_request", error_description: "Missing client_id or redirect_uri" });
+  }
+
+  const callback = new URL(redirectUri);
+  if (params.get("response_type") !== "code" || params.get("code_challenge_method") !== "S256" || !params.get("code_challenge")) {
+    callback.searchParams.set("error", "invalid_request");
+    if (state) callback.searchParams.set("state", state);
+    return redirect(res, callback.toString());
+  }
+
+  const code = randomToken();
+  authorizationCodes.set(code, {
+    clientId: params.get("client_id"),
+    redirectUri,
+    codeChallenge: params.get("code_challenge"),
+    nonce: params.get("nonce"),
+    scope: params.get("scope") ?? "openid",
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  callback.searchParams.set("code", code);
+  if (state) callback.searchParams.set("state", state);
+  redirect(res, callback.toString());
+}
+
+function exchangeToken(res, params) {
+  const clientId = params.get("client_id");
+  const grantType = params.get("grant_type");
+
+  if (grantType === "authorization_code") {
+    const code = params.get("code");
+    const grant = authorizationCodes.get(code);
+    // Codes are single use, whether or not the exchange succeeds
+    authorizationCodes.delete(code);
+
+    if (!grant || grant.expiresAt <= Date.now()) {
+      return sendJson(res, 400, { error: "invalid_grant", error_description: "Unknown or expired code" });
+    }
+    if (grant.clientId !== clientId || grant.redirectUri !== params.get("redirect_uri")) {
+      return sendJson(res, 400, { error: "invalid_grant", error_description: "Code was issued to another client" });
+    }
+
+    const challenge = crypto.createHash("sha256").update(params.get("code_verifier") ?? "").digest("base64url");
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+    }
+
+    return sendJson(res, 200, issueTokens({ clientId, nonce: grant.nonce, scope: grant.scope }));
+  }
+
+  if (grantType === "refresh_token") {
+    const refreshToken = params.get("refresh_token");
+    const grant = refreshTokens.get(refreshToken);
+    refreshTokens.delete(refreshToken);
+
+    if (!grant || grant.clientId !== clientId) {
+      return sendJson(res, 400, { error: "invalid_grant", error_description: "Unknown refresh token" });
+    }
+    return sendJson(res, 200, issueTokens({ clientId, scope: grant.scope }));
+  }
+
+  sendJson(res, 400, { error: "unsupported_grant_type" });
+}
+
+function graphql(res, authorization, body) {
+  const token = accessTokens.get(authorization);
+  if (!token || token.expiresAt <= Date.now()) {
+    return sendJson(res, 401, { errors: [{ message: "Invalid or expired access token" }] });
+  }
+
+  const { query } = JSON.parse(body || "{}");
+  const operationName = query?.match(/\b(?:query|mutation)\s+([_A-Za-z][_0-9A-Za-z]*)/)?.[1];
+
+  switch (operationName) {
+    case "CustomerOrders":
+      return sendJson(res, 200, {
+        data: {
+          customer: {
+            ...CUSTOMER,
+            orders: {
+              nodes: [ORDER],
+              pageInfo: { hasNextPage: false, hasPreviousPage: false, startCursor: null, endCursor: null },
+            },
+          },
+        },
+      });
+    case "CustomerOrder":
+      return sendJson(res, 200, { data: { order: ORDER } });
+    case "CustomerProfile":
+      return sendJson(res, 200, { data: { customer: CUSTOMER } });
+    default:
+      return sendJson(res, 200, { errors: [{ message: `The mock provider doesn't support ${operationName ?? "this operation"}` }] });
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ORIGIN);
+  const route = `${req.method} ${url.pathname}`;
+
+  try {
+    if (url.pathname.startsWith("/.well-known/") && discoveryOutage) {
+      return sendJson(res, 503, { error: "Service unavailable" });
+    }
+    if (url.pathname === "/oauth/token" && tokenOutage) {
+      return sendJson(res, 503, { error: "Service unavailable" });
+    }
+
+    switch (route) {
+      case "GET /.well-known/openid-configuration":
+        return sendJson(res, 200, {
+          issuer: ORIGIN,
+          authorization_endpoint: `${ORIGIN}/oauth/authorize`,
+          token_endpoint: `${ORIGIN}/oauth/token`,
+          jwks_uri: `${ORIGIN}/.well-known/jwks.json`,
+          end_session_endpoint: `${ORIGIN}/logout`,
+          revocation_endpoint: `${ORIGIN}/oauth/revoke`,
+        }, { "Cache-Control": "no-store" });
+      case "GET /.well-known/customer-account-api":
+        return sendJson(res, 200, { graphql_api: `${ORIGIN}/graphql` }, { "Cache-Control": "no-store" });
+      case "GET /.well-known/jwks.json":
+        return sendJson(res, 200, {
+          keys: [{ ...publicKey.export({ format: "jwk" }), kid: KEY_ID, alg: "RS256", use: "sig" }],
+        });
+      case "GET /oauth/authorize":
+        return authorize(res, url.searchParams);
+      case "POST /oauth/token":
+        return exchangeToken(res, new URLSearchParams(await readBody(req)));
+      case "POST /oauth/revoke": {
+        const token = new URLSearchParams(await readBody(req)).get("token");
+        accessTokens.delete(token);
+        refreshTokens.delete(token);
+        return sendJson(res, 200, {});
+      }
+      case "GET /logout":
+        return redirect(res, url.searchParams.get("post_logout_redirect_uri") ?? ORIGIN);
+      case "POST /graphql":
+        return graphql(res, req.headers.authorization, await readBody(req));
+      case "POST /__mock/outage":
+        discoveryOutage = url.searchParams.get("enabled") === "1";
+        return sendJson(res, 200, { discoveryOutage });
+      case "POST /__mock/token-outage":
+        tokenOutage = url.searchParams.get("enabled") === "1";
+        return sendJson(res, 200, { tokenOutage });
+      case "POST /__mock/expire-tokens":
+        for (const token of accessTokens.values()) {
+          token.expiresAt = 0;
+        }
+        return sendJson(res, 200, { expired: accessTokens.size });
+      default:
+        return sendJson(res, 404, { error: "Not found" });
+    }
+  } catch (error) {
+    console.error(`Mock OpenID provider failed on ${route}:`, error);
+    sendJson(res, 500, { error: "server_error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OpenID provider listening on ${ORIGIN}`);
+});
@@ -0,0 +1,12 @@
+// Re-encrypt stored customer tokens with the first key in
+// CUSTOMER_TOKEN_ENCRYPTION_KEYS. Run after adding a new key, then remove the
+// old key once this reports no remaining rows.
+import prisma from "../app/db.server";
+import { reencryptCustomerTokens } from "../app/customer-token-store.server";
+
+try {
+  const rewritten = await reencryptCustomerTokens();
+  console.log(`Re-encrypted ${rewritten} customer access token(s)`);
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,50 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "./prisma";
+import { sweepCustomerAuthData } from "../app/cleanup.server";
+
+vi.mock("../app/db.server", () => import("./prisma"));
+
+beforeEach(async () => {
+  await prisma.customerSession.deleteMany();
+  await prisma.customerAccessToken.deleteMany();
+  await prisma.session.deleteMany();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+describe("customer auth cleanup", () => {
+  it("deletes sessions whose token is gone, however many there are", async () => {
+    const token = await prisma.customerAccessToken.create({
+      data: { shop: "test-shop.myshopify.com", accessToken: "token", refreshToken: "refresh" },
+    });
+    await prisma.customerSession.create({ data: { id: "live", tokenId: token.id, data: "{}" } });
+    // More than one batch of orphans
+    await prisma.customerSession.createMany({
+      data: Array.from({ length: 1200 }, (_, index) => ({
+        id: `orphan-${String(index).padStart(4, "0")}`,
+        tokenId: `deleted-token-${index % 700}`,
+        data: "{}",
+      })),
+    });
+
+    const counts = await sweepCustomerAuthData();
+
+    expect(counts.customerSessions).toBe(1200);
+    expect(await prisma.customerSession.findMany({ select: { id: true } })).toEqual([{ id: "live" }]);
+  });
+
+  it("leaves the app's admin sessions alone", async () => {
+    await prisma.session.create({
+      data: {
+        id: "offline_test-shop.myshopify.com",
+        shop: "test-shop.myshopify.com",
+        state: "",
+        accessToken: "admin-token",
+        expires: new Date(Date.now() - 1000),
+      },
+    });
+
+    await sweepCustomerAuthData();
+
+    expect(await prisma.session.count()).toBe(1);
+  });
+});
@@ -0,0 +1,69 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "./prisma";
+import { createBrowser, signIn } from "./customer-browser";
+import { listCustomerAuthEvents, pruneCustomerAuthEvents } from "../app/customer-auth-events.server";
+
+vi.mock("../app/db.server", () => import("./prisma"));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(async () => {
+  await prisma.customerAccessToken.deleteMany();
+  await prisma.codeVerifier.deleteMany();
+  await prisma.customerAuthEvent.deleteMany();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS);
+}
+
+describe("customer auth events", () => {
+  it("records a sign-in with the customer and their IP", async () => {
+    const browser = createBrowser();
+    await signIn(browser);
+
+    const events = await listCustomerAuthEvents({ shop: "test-shop.myshopify.com" });
+
+    expect(events.map(({ type, outcome }) => [type, outcome])).toEqual([
+      ["callback", "success"],
+      ["auth_start", "success"],
+    ]);
+    expect(events[0]).toMatchObject({ customerId: expect.any(String), ip: browser.ip });
+  });
+
+  it("lists events by shop, customer and time range, a page at a time", async () => {
+    await prisma.customerAuthEvent.createMany({
+      data: [
+        { type: "callback", outcome: "success", shop: "test-shop.myshopify.com", customerId: "1", createdAt: daysAgo(1) },
+        { type: "logout", outcome: "success", shop: "test-shop.myshopify.com", customerId: "1", createdAt: daysAgo(2) },
+        { type: "callback", outcome: "success", shop: "test-shop.myshopify.com", customerId: "1", createdAt: daysAgo(10) },
+        { type: "callback", outcome: "success", shop: "test-shop.myshopify.com", customerId: "2", createdAt: daysAgo(1) },
+        { type: "callback", outcome: "success", shop: "other-shop.myshopify.com", customerId: "1", createdAt: daysAgo(1) },
+      ],
+    });
+
+    const filter = { shop: "test-shop.myshopify.com", customerId: "1", from: daysAgo(7), to: new Date() };
+    const firstPage = await listCustomerAuthEvents({ ...filter, take: 1 });
+    const secondPage = await listCustomerAuthEvents({ ...filter, take: 1, cursor: firstPage[0].id });
+
+    expect(firstPage.map(({ type }) => type)).toEqual(["callback"]);
+    expect(secondPage.map(({ type }) => type)).toEqual(["logout"]);
+    expect(await listCustomerAuthEvents({ ...filter, cursor: secondPage[0].id })).toEqual([]);
+  });
+
+  it("prunes events older than the retention period", async () => {
+    await prisma.customerAuthEvent.createMany({
+      data: [
+        { type: "callback", outcome: "success", createdAt: daysAgo(91) },
+        { type: "callback", outcome: "success", createdAt: daysAgo(89) },
+      ],
+    });
+
+    expect(await pruneCustomerAuthEvents()).toBe(1);
+    expect(await prisma.customerAuthEvent.count()).toBe(1);
+  });
+});
@@ -0,0 +1,81 @@
+// Drives the customer login routes the way a browser and the mock OpenID
+// provider would, for the end-to-end tests
+import { expect } from "vitest";
+import { loader as authLoader } from "../app/routes/customer-account-api.auth";
+import { loader as callbackLoader } from "../app/routes/customer-account-api.callback";
+
+export const APP_ORIGIN = "https://app.example.com";
+export const PROVIDER_ORIGIN = process.env.CUSTOMER_ACCOUNT_DISCOVERY_ORIGIN;
+
+let browserCount = 0;
+
+// The cookies one browser holds for the app, and the address it connects from.
+// Paths are ignored, so every cookie is sent with every request.
+export function createBrowser() {
+  const cookies = new Map();
+  browserCount += 1;
+
+  return {
+    ip: `203.0.113.${browserCount}`,
+    store(response) {
+      for (const setCookie of response.headers.getSetCookie()) {
+        const [pair, ...attributes] = setCookie.split(";");
+        const [name, value] = pair.split("=");
+        const expired = attributes.some((attribute) => /^\s*(max-age=0|expires=thu, 01 jan 1970)/i.test(attribute));
+        if (expired) {
+          cookies.delete(name);
+        } else {
+          cookies.set(name, value);
+        }
+      }
+    },
+    cookieHeader() {
+      return [...cookies].map(([name, value]) => `${name}=${value}`).join("; ");
+    },
+  };
+}
+
+// Call a loader with a real request from the browser, the way React Router
+// would, returning thrown redirects and error responses instead of throwing
+export async function load(loader, path, browser = createBrowser()) {
+  const request = new Request(new URL(path, APP_ORIGIN), {
+    headers: { Cookie: browser.cookieHeader(), "X-Forwarded-For": browser.ip },
+  });
+
+  try {
+    return await loader({ request, params: {}, context: {} });
+  } catch (error) {
+    if (error instanceof Response) {
+      return error;
+    }
+    throw error;
+  }
+}
+
+// Start a login, returning the provider's authorization URL
+export async function startLogin(browser, path = "/customer-account-api/auth") {
+  const response = await load(authLoader, path, browser);
+  expect(response.status).toBe(302);
+  browser.store(response);
+  return new URL(response.headers.get("Location"));
+}
+
+// Approve a login at the mock provider, returning the app's callback path
+export async function approveLogin(authorizationUrl) {
+  const response = await fetch(authorizationUrl, { redirect: "manual" });
+  const callbackUrl = new URL(response.headers.get("Location"));
+  return `${callbackUrl.pathname}${callbackUrl.search}`;
+}
+
+// Go through the whole login, keeping the session cookie in the browser
+export async function signIn(browser) {
+  const callbackPath = await approveLogin(await startLogin(browser));
+  const response = await load(callbackLoader, callbackPath, browser);
+  browser.store(response);
+  return response;
+}
+
+// Make the mock provider's discovery documents fail, or work again
+export function setDiscoveryOutage(enabled) {
+  return fetch(`${PROVIDER_ORIGIN}/__mock/outage?enabled=${enabled ? 1 : 0}`, { method: "POST" });
+}
@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "./prisma";
+import { approveLogin, createBrowser, load, signIn, startLogin } from "./customer-browser";
+import { loader as callbackLoader } from "../app/routes/customer-account-api.callback";
+import { loader as consentLoader } from "../app/routes/customer-account-api.consent";
+import { loader as profileLoader } from "../app/routes/customer-account-api.profile/route";
+
+vi.mock("../app/db.server", () => import("./prisma"));
+
+beforeEach(async () => {
+  await prisma.customerAccessToken.deleteMany();
+  await prisma.codeVerifier.deleteMany();
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// Sign in with a token that wasn't granted the full Customer Account API scope
+async function signInWithoutFullScope(browser) {
+  await signIn(browser);
+  await prisma.customerAccessToken.updateMany({ data: { scope: "openid email" } });
+}
+
+describe("incremental consent", () => {
+  it("asks for a missing scope and brings the customer back to the page", async () => {
+    const browser = createBrowser();
+    await signInWithoutFullScope(browser);
+
+    const toConsent = await load(profileLoader, "/customer-account-api/profile", browser);
+    expect(toConsent.status).toBe(302);
+    const consentUrl = new URL(toConsent.headers.get("Location"), "https://app.example.com");
+    expect(consentUrl.pathname).toBe("/customer-account-api/consent");
+    expect(consentUrl.searchParams.get("scope")).toBe("customer-account-api:full");
+
+    const toLogin = await load(consentLoader, toConsent.headers.get("Location"), browser);
+    expect(toLogin.status).toBe(302);
+
+    const authorizationUrl = await startLogin(browser, toLogin.headers.get("Location"));
+    expect(authorizationUrl.searchParams.get("scope").split(" ")).toEqual(
+      expect.arrayContaining(["openid", "email", "customer-account-api:full"]),
+    );
+
+    const callback = await load(callbackLoader, await approveLogin(authorizationUrl), browser);
+    expect(callback.status).toBe(302);
+    expect(callback.headers.get("Location")).toBe("/customer-account-api/profile?consent_attempted=1");
+    browser.store(callback);
+
+    const data = await load(profileLoader, callback.headers.get("Location"), browser);
+    expect(data.customer.firstName).toBe("Ada");
+    // The token the new one replaced is revoked
+    expect(await prisma.customerAccessToken.count()).toBe(1);
+  });
+
+  it("shows an error instead of asking again when consent didn't grant the scope", async () => {
+    const browser = createBrowser();
+    await signInWithoutFullScope(browser);
+
+    const response = await load(profileLoader, "/customer-account-api/profile?consent_attempted=1", browser);
+
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual({
+      message: "This page needs access that wasn't granted, so it can't be shown.",
+    });
+  });
+
+  it("rejects consent for a scope the shop isn't configured for", async () => {
+    const browser = createBrowser();
+    await signIn(browser);
+
+    const response = await load(consentLoader, "/customer-account-api/consent?scope=customer-account-api:admin", browser);
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe("login scopes", () => {
+  it("always asks for openid, even when the shop's scopes leave it out", async () => {
+    const browser = createBrowser();
+
+    const authorizationUrl = await startLogin(browser, "/customer-account-api/auth?shop=other-shop.myshopify.com");
+
+    expect(authorizationUrl.searchParams.get("scope")).toBe("openid email customer-account-api:full");
+
+    const callback = await load(callbackLoader, await approveLogin(authorizationUrl), browser);
+    expect(callback.status).toBe(302);
+    expect(await prisma.customerAccessToken.findFirstOrThrow()).toMatchObject({ shop: "other-shop.myshopify.com" });
+  });
+});
@@ -0,0 +1,112 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "./prisma";
+import { customerTokenStore } from "../app/customer-token-store.server";
+import { isWebhookRecorded, recordCustomerAuthEvent } from "../app/customer-auth-events.server";
+import {
+  getCustomerDataExport,
+  purgeShopCustomerData,
+  redactCustomerData,
+  storeCustomerDataExport,
+} from "../app/customer-data.server";
+
+vi.mock("../app/db.server", () => import("./prisma"));
+
+const SHOP = "test-shop.myshopify.com";
+const OTHER_SHOP = "other-shop.myshopify.com";
+
+// How privacy webhooks describe a customer
+const CUSTOMER = { id: 1, email: "ada@example.com" };
+
+beforeEach(async () => {
+  await prisma.customerAccessToken.deleteMany();
+  await prisma.customerSession.deleteMany();
+  await prisma.customerAuthEvent.deleteMany();
+  await prisma.customerDataExport.deleteMany();
+  await prisma.codeVerifier.deleteMany();
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// A signed-in customer of a shop, as the login flow stores them
+async function storeSignedInCustomer(shop, customerId, email) {
+  const token = await customerTokenStore.create({
+    data: { shop, customerId, email, accessToken: `access-${customerId}`, refreshToken: `refresh-${customerId}` },
+  });
+  await prisma.customerSession.create({
+    data: { id: `session-${shop}-${customerId}`, tokenId: token.id, shop, customerId, data: "{}" },
+  });
+  await recordCustomerAuthEvent({ type: "callback", shop, customerId });
+}
+
+describe("customer data requests", () => {
+  it("exports what's stored about the customer without their credentials", async () => {
+    await storeSignedInCustomer(SHOP, "gid://shopify/Customer/1", "ada@example.com");
+    await storeSignedInCustomer(SHOP, "gid://shopify/Customer/2", "grace@example.com");
+
+    const { id, counts } = await storeCustomerDataExport(SHOP, CUSTOMER, 42);
+
+    expect(counts).toEqual({ tokens: 1, sessions: 1, events: 1 });
+    const dataExport = await getCustomerDataExport(SHOP, id);
+    expect(dataExport).toMatchObject({ customerId: "1", dataRequestId: "42" });
+    expect(dataExport.data).toContain("ada@example.com");
+    expect(dataExport.data).not.toContain("access-");
+    expect(dataExport.data).not.toContain("session-");
+    expect(await getCustomerDataExport(OTHER_SHOP, id)).toBeNull();
+  });
+});
+
+describe("customer redaction", () => {
+  it("removes the customer's tokens, sessions, events and exports, and nobody else's", async () => {
+    await storeSignedInCustomer(SHOP, "gid://shopify/Customer/1", "ada@example.com");
+    await storeSignedInCustomer(SHOP, "gid://shopify/Customer/2", "grace@example.com");
+    await storeSignedInCustomer(OTHER_SHOP, "gid://shopify/Customer/1", "ada@example.com");
+    await storeCustomerDataExport(SHOP, CUSTOMER, 42);
+
+    expect(await redactCustomerData(SHOP, CUSTOMER)).toEqual({
+      customerAccessTokens: 1,
+      // Revoking the token already ended its session
+      customerSessions: 0,
+      customerAuthEvents: 1,
+      customerDataExports: 1,
+    });
+
+    expect(await prisma.customerAccessToken.count({ where: { shop: SHOP } })).toBe(1);
+    expect(await prisma.customerSession.count({ where: { shop: SHOP } })).toBe(1);
+    expect(await prisma.customerAuthEvent.count({ where: { shop: SHOP } })).toBe(1);
+    expect(await prisma.customerAccessToken.count({ where: { shop: OTHER_SHOP } })).toBe(1);
+
+    // Redelivered webhooks find nothing left to remove
+    expect(await redactCustomerData(SHOP, CUSTOMER)).toMatchObject({ customerAccessTokens: 0, customerAuthEvents: 0 });
+  });
+});
+
+describe("shop purges", () => {
+  it("keeps audit events on uninstall and erases them on shop redaction", async () => {
+    await storeSignedInCustomer(SHOP, "gid://shopify/Customer/1", "ada@example.com");
+    await storeSignedInCustomer(OTHER_SHOP, "gid://shopify/Customer/1", "ada@example.com");
+
+    expect(await purgeShopCustomerData(SHOP)).toMatchObject({
+      customerAccessTokens: 1,
+      customerSessions: 1,
+      customerAuthEvents: 0,
+    });
+    expect(await prisma.customerAuthEvent.count({ where: { shop: SHOP } })).toBe(1);
+
+    expect(await purgeShopCustomerData(SHOP, { includeAuditEvents: true })).toMatchObject({
+      customerAccessTokens: 0,
+      customerAuthEvents: 1,
+    });
+    expect(await prisma.customerAccessToken.count({ where: { shop: OTHER_SHOP } })).toBe(1);
+    expect(await prisma.customerAuthEvent.count({ where: { shop: OTHER_SHOP } })).toBe(1);
+  });
+
+  it("recognises a webhook it already handled", async () => {
+    await recordCustomerAuthEvent({ type: "shop_redact", shop: SHOP, webhookId: "webhook-1" });
+
+    expect(await isWebhookRecorded("webhook-1")).toBe(true);
+    expect(await isWebhookRecorded("webhook-2")).toBe(false);
+  });
+});
@@ -0,0 +1,215 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "./prisma";
+import { approveLogin, createBrowser, load, PROVIDER_ORIGIN, signIn, startLogin } from "./customer-browser";
+import { loader as callbackLoader } from "../app/routes/customer-account-api.callback";
+import { loader as orderListLoader } from "../app/routes/customer-account-api.order-list";
+import { enforceShopRateLimit, RATE_LIMITS } from "../app/rate-limit.server";
+
+vi.mock("../app/db.server", () => import("./prisma"));
+
+beforeEach(async () => {
+  await prisma.customerAccessToken.deleteMany();
+  await prisma.codeVerifier.deleteMany();
+  await prisma.customerAuthEvent.deleteMany();
+  // Failures are logged in full; the assertions check what the customer sees
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("customer login", () => {
+  it("signs the customer in and loads their orders", async () => {
+    const browser = createBrowser();
+
+    const authorizationUrl = await startLogin(browser);
+    expect(authorizationUrl.origin).toBe(PROVIDER_ORIGIN);
+    expect(authorizationUrl.searchParams.get("client_id")).toBe("test-client-id");
+    expect(authorizationUrl.searchParams.get("code_challenge_method")).toBe("S256");
+
+    const response = await load(callbackLoader, await approveLogin(authorizationUrl), browser);
+    expect(response.status).toBe(302);
+    expect(response.headers.get("Location")).toBe("/customer-account-api/order-list");
+    browser.store(response);
+
+    const token = await prisma.customerAccessToken.findFirstOrThrow();
+    expect(token).toMatchObject({ shop: "test-shop.myshopify.com", customerId: "gid://shopify/Customer/1000" });
+    // The verifier can only be used once
+    expect(await prisma.codeVerifier.count()).toBe(0);
+
+    const data = await load(orderListLoader, "/customer-account-api/order-list", browser);
+    expect(data.customer.orders.nodes.map((order) => order.name)).toEqual(["#1001"]);
+  });
+
+  it("sends customers without a session to login", async () => {
+    const response = await load(orderListLoader, "/customer-account-api/order-list?from=2026-01-01");
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get("Location")).toBe(
+      `/customer-account-api/auth?${new URLSearchParams({ return_to: "/customer-account-api/order-list?from=2026-01-01" })}`,
+    );
+  });
+
+  it("rejects a state it didn't issue", async () => {
+    const browser = createBrowser();
+    await startLogin(browser);
+
+    const response = await load(callbackLoader, "/customer-account-api/callback?code=abc&state=bogus", browser);
+
+    expect(response.status).toBe(400);
+    expect(await prisma.customerAccessToken.count()).toBe(0);
+  });
+
+  it("rejects a callback in a browser that didn't start the login", async () => {
+    const callbackPath = await approveLogin(await startLogin(createBrowser()));
+
+    const response = await load(callbackLoader, callbackPath, createBrowser());
+
+    expect(response.status).toBe(400);
+    expect(await prisma.customerAccessToken.count()).toBe(0);
+    // The login can still be finished in the browser that started it
+    expect(await prisma.codeVerifier.count()).toBe(1);
+  });
+
+  it("rejects a state that was already used", async () => {
+    const browser = createBrowser();
+    const callbackPath = await approveLogin(await startLogin(browser));
+    const cookieHeader = browser.cookieHeader();
+    await load(callbackLoader, callbackPath, browser);
+
+    const replayed = await load(callbackLoader, callbackPath, { ...browser, cookieHeader: () => cookieHeader });
+
+    expect(replayed.status).toBe(400);
+    expect(await prisma.customerAccessToken.count()).toBe(1);
+  });
+
+  it("fails the exchange when the code verifier doesn't match the challenge", async () => {
+    const browser = createBrowser();
+    const authorizationUrl = await startLogin(browser);
+    await prisma.codeVerifier.update({
+      where: { state: authorizationUrl.searchParams.get("state") },
+      data: { verifier: "not-the-verifier-the-challenge-was-made-from" },
+    });
+
+    const response = await load(callbackLoader, await approveLogin(authorizationUrl), browser);
+
+    expect(response.status).toBe(401);
+    expect(await prisma.customerAccessToken.count()).toBe(0);
+    expect(await prisma.customerAuthEvent.findFirst({ where: { type: "callback" } })).toMatchObject({
+      outcome: "failure",
+      errorCode: "token_exchange_failed",
+    });
+  });
+});
+
+describe("rate limits", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("keeps the login when the shop's callback limit turns the customer away", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const shop = "other-shop.myshopify.com";
+    const browser = createBrowser();
+    const callbackPath = await approveLogin(await startLogin(browser, `/customer-account-api/auth?shop=${shop}`));
+
+    for (let hit = 0; hit < RATE_LIMITS.callback.perShop; hit++) {
+      await enforceShopRateLimit(shop, "callback");
+    }
+    const limited = await load(callbackLoader, callbackPath, browser);
+    expect(limited.status).toBe(429);
+    expect(await prisma.codeVerifier.count()).toBe(1);
+
+    vi.setSystemTime(Date.now() + RATE_LIMITS.callback.windowMs);
+    const retried = await load(callbackLoader, callbackPath, browser);
+    expect(retried.status).toBe(302);
+  });
+});
+
+describe("expired access tokens", () => {
+  async function expireAccessTokens() {
+    await fetch(`${PROVIDER_ORIGIN}/__mock/expire-tokens`, { method: "POST" });
+    await prisma.customerAccessToken.updateMany({ data: { expiresAt: new Date(Date.now() - 1000) } });
+  }
+
+  function setTokenOutage(enabled) {
+    return fetch(`${PROVIDER_ORIGIN}/__mock/token-outage?enabled=${enabled ? 1 : 0}`, { method: "POST" });
+  }
+
+  afterEach(async () => {
+    await setTokenOutage(false);
+  });
+
+  it("refreshes an expired token before querying the API", async () => {
+    const browser = createBrowser();
+    await signIn(browser);
+    await expireAccessTokens();
+
+    const data = await load(orderListLoader, "/customer-account-api/order-list", browser);
+
+    expect(data.customer.orders.nodes).toHaveLength(1);
+    const token = await prisma.customerAccessToken.findFirstOrThrow();
+    expect(token.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("sends the customer to login when the token can't be refreshed", async () => {
+    const browser = createBrowser();
+    await signIn(browser);
+    await expireAccessTokens();
+    await prisma.customerAccessToken.updateMany({ data: { refreshToken: null } });
+
+    const response = await load(orderListLoader, "/customer-account-api/order-list", browser);
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get("Location")).toMatch(/^\/customer-account-api\/auth\?/);
+
+    // The dead token is gone, so coming back doesn't record the expiry again
+    expect(await prisma.customerAccessToken.count()).toBe(0);
+    await load(orderListLoader, "/customer-account-api/order-list", browser);
+    expect(await prisma.customerAuthEvent.count({ where: { type: "token_expired" } })).toBe(1);
+  });
+
+  it("keeps the token when the shop can't refresh it for now", async () => {
+    const browser = createBrowser();
+    await signIn(browser);
+    await expireAccessTokens();
+    await setTokenOutage(true);
+
+    const response = await load(orderListLoader, "/customer-account-api/order-list", browser);
+
+    expect(response.status).toBe(503);
+    expect(await prisma.customerAccessToken.count()).toBe(1);
+    expect(await prisma.customerAuthEvent.count({ where: { type: "token_expired" } })).toBe(0);
+
+    await setTokenOutage(false);
+    const data = await load(orderListLoader, "/customer-account-api/order-list", browser);
+    expect(data.customer.orders.nodes).toHaveLength(1);
+  });
+
+  it("sends the customer to login when the shop rejects the refresh token", async () => {
+    const browser = createBrowser();
+    await signIn(browser);
+    await expireAccessTokens();
+    await prisma.customerAccessToken.updateMany({ data: { refreshToken: "not-a-refresh-token-the-shop-issued" } });
+
+    const response = await load(orderListLoader, "/customer-account-api/order-list", browser);
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get("Location")).toMatch(/^\/customer-account-api\/auth\?/);
+    expect(await prisma.customerAuthEvent.count({ where: { type: "token_expired" } })).toBe(1);
+    expect(await prisma.customerAccessToken.count()).toBe(0);
+  });
+
+  it("sends the customer to login when their token's encryption key was removed", async () => {
+    const browser = createBrowser();
+    await signIn(browser);
+    await prisma.customerAccessToken.updateMany({ data: { accessToken: "enc:v1:retired-key:aXY:Y2lwaGVy:dGFn" } });
+
+    const response = await load(orderListLoader, "/customer-account-api/order-list", browser);
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get("Location")).toMatch(/^\/customer-account-api\/auth\?/);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining("retired-key"));
+  });
+});
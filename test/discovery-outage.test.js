@@ -0,0 +1,63 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "./prisma";
+import { approveLogin, createBrowser, load, setDiscoveryOutage, signIn, startLogin } from "./customer-browser";
+import { loader as authLoader } from "../app/routes/customer-account-api.auth";
+import { loader as callbackLoader } from "../app/routes/customer-account-api.callback";
+import { loader as orderListLoader } from "../app/routes/customer-account-api.order-list";
+
+vi.mock("../app/db.server", () => import("./prisma"));
+
+// Each test file gets its own copy of the app's modules, so the tests here run
+// in order against a discovery cache that starts out empty
+
+beforeEach(async () => {
+  await prisma.customerAccessToken.deleteMany();
+  await prisma.codeVerifier.deleteMany();
+  await prisma.customerAuthEvent.deleteMany();
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await setDiscoveryOutage(false);
+});
+
+describe("discovery outage", () => {
+  it("shows an error instead of starting a login when discovery has never loaded", async () => {
+    await setDiscoveryOutage(true);
+
+    const response = await load(authLoader, "/customer-account-api/auth");
+
+    expect(response.status).toBe(502);
+    expect(await response.json()).toEqual({
+      message: "We couldn't reach the store's sign-in service. Please try again in a few minutes.",
+    });
+    expect(await prisma.codeVerifier.count()).toBe(0);
+    expect(await prisma.customerAuthEvent.findFirst({ where: { type: "auth_start" } })).toMatchObject({
+      outcome: "failure",
+      errorCode: "discovery_failed",
+    });
+  });
+
+  it("shows an error instead of querying the API when discovery has never loaded", async () => {
+    const browser = createBrowser();
+    // Signing in only loads the OpenID configuration, not the Customer Account API's
+    await signIn(browser);
+    await setDiscoveryOutage(true);
+
+    const response = await load(orderListLoader, "/customer-account-api/order-list", browser);
+
+    expect(response.status).toBe(502);
+  });
+
+  it("finishes a login from the last good configuration once discovery has loaded", async () => {
+    const browser = createBrowser();
+    const callbackPath = await approveLogin(await startLogin(browser));
+    await setDiscoveryOutage(true);
+
+    const response = await load(callbackLoader, callbackPath, browser);
+
+    expect(response.status).toBe(302);
+    expect(await prisma.customerAccessToken.count()).toBe(1);
+  });
+});
@@ -0,0 +1,82 @@
+import { execFileSync, spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createClient } from "@libsql/client";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const cacheDir = path.join(root, "node_modules/.cache/prisma-test");
+
+// Generate a Prisma client from the app's schema that runs queries through a
+// driver adapter, so the tests don't need a query engine binary. It's written
+// to node_modules/.prisma/test-client and leaves the app's client alone.
+function generateTestClient() {
+  const schema = fs
+    .readFileSync(path.join(root, "prisma/schema.prisma"), "utf8")
+    .replace(
+      /generator client \{[^}]*\}/,
+      `generator client {
+  provider   = "prisma-client-js"
+  engineType = "client"
+  output     = "../../.prisma/test-client"
+}`,
+    );
+
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(path.join(cacheDir, "schema.prisma"), schema);
+  execFileSync("npx", ["prisma", "generate", "--schema", path.join(cacheDir, "schema.prisma")], {
+    cwd: root,
+    stdio: "ignore",
+  });
+}
+
+// Create an empty database and apply every migration to it
+async function createDatabase(url) {
+  fs.rmSync(path.resolve(root, url.slice("file:".length)), { force: true });
+
+  const client = createClient({ url });
+  try {
+    const migrationsDir = path.join(root, "prisma/migrations");
+    const migrations = fs
+      .readdirSync(migrationsDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort();
+
+    for (const migration of migrations) {
+      await client.executeMultiple(fs.readFileSync(path.join(migrationsDir, migration, "migration.sql"), "utf8"));
+    }
+  } finally {
+    client.close();
+  }
+}
+
+// Start the mock OpenID provider and wait until it's listening
+function startMockProvider(port) {
+  const provider = spawn(process.execPath, [path.join(root, "scripts/mock-openid-provider.js")], {
+    env: { ...process.env, MOCK_OPENID_PORT: port },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+
+  return new Promise((resolve, reject) => {
+    provider.once("error", reject);
+    provider.once("exit", (code) => reject(new Error(`Mock OpenID provider exited with code ${code}`)));
+    provider.stdout.on("data", (data) => {
+      if (data.toString().includes("listening")) {
+        resolve(provider);
+      }
+    });
+  });
+}
+
+export default async function setup(project) {
+  const { env } = project.config;
+
+  generateTestClient();
+  await createDatabase(env.TEST_DATABASE_URL);
+  const provider = await startMockProvider(env.MOCK_OPENID_PORT);
+
+  return () => {
+    provider.kill();
+  };
+}
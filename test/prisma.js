@@ -0,0 +1,9 @@
+import { PrismaLibSQL } from "@prisma/adapter-libsql";
+import { PrismaClient } from "../node_modules/.prisma/test-client/index.js";
+
+// Stands in for app/db.server.js, against the database global-setup.js created
+const prisma = new PrismaClient({
+  adapter: new PrismaLibSQL({ url: process.env.TEST_DATABASE_URL }),
+});
+
+export default prisma;
@@ -0,0 +1,34 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createMemoryRateLimitStore } from "../app/rate-limit.server";
+
+vi.mock("../app/db.server", () => import("./prisma"));
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("memory rate limit store", () => {
+  it("counts hits within a window and starts again once it ends", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const store = createMemoryRateLimitStore();
+
+    await store.hit("auth:ip:203.0.113.1", 1000);
+    expect((await store.hit("auth:ip:203.0.113.1", 1000)).count).toBe(2);
+    expect((await store.hit("auth:ip:203.0.113.2", 1000)).count).toBe(1);
+
+    vi.setSystemTime(Date.now() + 1000);
+    expect((await store.hit("auth:ip:203.0.113.1", 1000)).count).toBe(1);
+  });
+
+  it("keeps counting windows that are still open when finished ones are swept", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const store = createMemoryRateLimitStore();
+
+    await store.hit("short", 1000);
+    await store.hit("long", 5 * 60 * 1000);
+
+    vi.setSystemTime(Date.now() + 2 * 60 * 1000);
+    expect((await store.hit("long", 5 * 60 * 1000)).count).toBe(2);
+    expect((await store.hit("short", 1000)).count).toBe(1);
+  });
+});
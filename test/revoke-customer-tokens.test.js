@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "./prisma";
+import { createBrowser, load, PROVIDER_ORIGIN, signIn } from "./customer-browser";
+import { loader as orderListLoader } from "../app/routes/customer-account-api.order-list";
+import { customerTokenStore } from "../app/customer-token-store.server";
+import { revokeAllCustomerAccessTokens } from "../app/customer-tokens.server";
+
+vi.mock("../app/db.server", () => import("./prisma"));
+
+beforeEach(async () => {
+  await prisma.customerAccessToken.deleteMany();
+  await prisma.codeVerifier.deleteMany();
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("signing out every customer", () => {
+  it("revokes the shop's tokens and leaves other shops signed in", async () => {
+    const browsers = [createBrowser(), createBrowser()];
+    for (const browser of browsers) {
+      await signIn(browser);
+    }
+    const refreshTokens = (await customerTokenStore.findMany({ select: { refreshToken: true } })).map(
+      ({ refreshToken }) => refreshToken,
+    );
+    await customerTokenStore.create({
+      data: { shop: "other-shop.myshopify.com", accessToken: "other-shop-token", refreshToken: "other-shop-refresh" },
+    });
+    const fetchSpy = vi.spyOn(global, "fetch");
+
+    expect(await revokeAllCustomerAccessTokens("test-shop.myshopify.com")).toBe(2);
+
+    for (const browser of browsers) {
+      const response = await load(orderListLoader, "/customer-account-api/order-list", browser);
+      expect(response.status).toBe(302);
+      expect(response.headers.get("Location")).toMatch(/^\/customer-account-api\/auth\?/);
+    }
+    expect(await prisma.customerAccessToken.findMany({ select: { shop: true } })).toEqual([
+      { shop: "other-shop.myshopify.com" },
+    ]);
+
+    // Revocation at the shop runs in the background
+    await vi.waitFor(() => {
+      const revokedTokens = fetchSpy.mock.calls
+        .filter(([url]) => url === `${PROVIDER_ORIGIN}/oauth/revoke`)
+        .map(([, init]) => new URLSearchParams(init.body).get("token"));
+      expect(revokedTokens.sort()).toEqual(refreshTokens.sort());
+    });
+  });
+
+  it("does nothing for a shop without signed-in customers", async () => {
+    expect(await revokeAllCustomerAccessTokens("test-shop.myshopify.com")).toBe(0);
+  });
+});
@@ -0,0 +1,42 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { getCustomerTokenId, renewCustomerSession, setCustomerTokenId } from "../app/sessions.server";
+
+vi.mock("../app/db.server", () => import("./prisma"));
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// A request from a browser holding the cookie a Set-Cookie header set
+function requestWithCookie(setCookie) {
+  return new Request("https://app.example.com/customer-account-api/order-list", {
+    headers: setCookie ? { Cookie: setCookie.split(";")[0] } : {},
+  });
+}
+
+function maxAge(setCookie) {
+  return Number(setCookie.match(/Max-Age=(\d+)/)[1]);
+}
+
+describe("customer sessions", () => {
+  it("ends the session when a token that can't be refreshed expires", async () => {
+    const tokenExpiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    const setCookie = await setCustomerTokenId(requestWithCookie(), "token-id", { tokenExpiresAt });
+
+    expect(maxAge(setCookie)).toBeLessThanOrEqual(60 * 60);
+    expect(await getCustomerTokenId(requestWithCookie(setCookie))).toBe("token-id");
+  });
+
+  it("only renews the cookie every few minutes", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const setCookie = await setCustomerTokenId(requestWithCookie(), "token-id");
+
+    expect(await renewCustomerSession(requestWithCookie(setCookie))).toBeNull();
+
+    vi.setSystemTime(Date.now() + 5 * 60 * 1000);
+    const renewed = await renewCustomerSession(requestWithCookie(setCookie));
+    expect(renewed).toContain("__customer_session=");
+    expect(await renewCustomerSession(requestWithCookie(renewed))).toBeNull();
+  });
+});
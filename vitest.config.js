@@ -0,0 +1,28 @@
+import { defineConfig } from "vitest/config";
+
+// Port the mock OpenID provider listens on while the tests run
+const MOCK_OPENID_PORT = 4011;
+
+// Tests get their own config, so the React Router plugin from vite.config.js
+// doesn't try to build the app around them
+export default defineConfig({
+  test: {
+    include: ["test/**/*.test.js"],
+    globalSetup: ["test/global-setup.js"],
+    // Every test file shares one database and one mock provider
+    fileParallelism: false,
+    env: {
+      MOCK_OPENID_PORT: String(MOCK_OPENID_PORT),
+      CUSTOMER_ACCOUNT_DISCOVERY_ORIGIN: `http://localhost:${MOCK_OPENID_PORT}`,
+      TEST_DATABASE_URL: "file:node_modules/.cache/prisma-test/test.sqlite",
+      SHOP_STOREFRONT_DOMAIN: "test-shop.myshopify.com",
+      SHOPIFY_API_KEY: "test-client-id",
+      // A second shop, configured without openid
+      CUSTOMER_ACCOUNT_SHOPS: JSON.stringify({
+        "other-shop.myshopify.com": { scopes: "email customer-account-api:full" },
+      }),
+      SESSION_SECRET: "test-session-secret",
+      CUSTOMER_TOKEN_ENCRYPTION_KEYS: `test:${Buffer.alloc(32, 1).toString("base64")}`,
+    },
+  },
+});